@@ -17,11 +17,14 @@
 (function() {
     console.info('[ContentScript] Universal Dark Mode script loaded');
 
+    // Accuracy answers are kept in the background's learning store (learning-store.js)
+    const learningStore = new LearningStoreClient();
+
     // Listen for CSS patch injection from popup
     window.addEventListener('message', function(e) {
         console.debug('[ContentScript] window message received:', e.data);
         if (e.data && e.data.type === 'inject-darkmode-css' && e.data.css) {
-            injectGeminiCssPatch(e.data.css);
+            injectGeminiCssPatch(e.data.css, { source: 'chat' });
         }
     });
 
@@ -30,23 +33,19 @@
         chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
             console.debug('[ContentScript] chrome.runtime.onMessage:', request);
             
-            // Handle CSS injection
-            if (request && request.type === 'inject-darkmode-css' && request.css) {
-                injectGeminiCssPatch(request.css);
-                sendResponse({ status: 'css_injected' });
-                return true;
-            }
+            // CSS injection (inject-darkmode-css) is handled by content.js, which adds the patch layer
             
             // Handle dark mode toggle
             if (request && request.type === 'TOGGLE_DARK_MODE') {
                 console.debug('[ContentScript] Received TOGGLE_DARK_MODE:', request.enabled);
                 if (request.enabled) {
-                    if (!document.documentElement.classList.contains('universal-dark-mode')) {
-                        document.documentElement.classList.add('universal-dark-mode');
+                    // Start real-time dark mode analysis and fixing, unless the site's own dark mode is used.
+                    // The background only syncs the theme state (realTime: false); the popup starts analysis.
+                    if (enableDarkMode() && request.realTime !== false) {
+                        initializeRealTimeDarkMode();
                     }
-                    // Start real-time dark mode analysis and fixing
-                    initializeRealTimeDarkMode();
                 } else {
+                    if (nativeDarkMode) nativeDarkMode.disable();
                     document.documentElement.classList.remove('universal-dark-mode');
                     removeGeminiCssPatch();
                     stopRealTimeDarkMode();
@@ -90,32 +89,82 @@
             return false; // Not handled
         });
     }
-    // For Firefox
-    if (typeof browser !== 'undefined' && browser.runtime && browser.runtime.onMessage) {
-        browser.runtime.onMessage.addListener(function(request, sender) {
-            console.debug('[ContentScript] browser.runtime.onMessage:', request);
-            if (request && request.type === 'inject-darkmode-css' && request.css) {
-                injectGeminiCssPatch(request.css);
-            }
+    // Add the CSS as its own layer in the shared patch stack (patch-manager.js) so it
+    // never replaces patches from other sources. Layers with the same key are updated in place.
+    function injectGeminiCssPatch(css, options = {}) {
+        console.info('[ContentScript] injectGeminiCssPatch called with CSS:', css);
+        if (!css || typeof css !== 'string') return null;
+        if (!window.darkModePatches) {
+            console.warn('[ContentScript] Patch manager not available, CSS patch not injected');
+            return null;
+        }
+        const layer = window.darkModePatches.addLayer({
+            css,
+            source: options.source || 'chat',
+            key: options.key,
+            label: options.label,
+            recordHistory: options.recordHistory
         });
+        console.debug('[ContentScript] Gemini CSS patch injected as layer:', layer.id);
+        return layer;
     }
+    // Sites with a dark mode of their own (native-dark-mode.js) get it instead of our theme
+    const nativeDarkMode = window.darkModeNative || null;
 
-    function injectGeminiCssPatch(css) {
-        console.info('[ContentScript] injectGeminiCssPatch called with CSS:', css);
-        if (!css || typeof css !== 'string') return;
-        let styleTag = document.getElementById('gemini-auto-dark-mode-styles');
-        if (styleTag) styleTag.remove();
-        styleTag = document.createElement('style');
-        styleTag.id = 'gemini-auto-dark-mode-styles';
-        styleTag.textContent = css;
-        document.head.appendChild(styleTag);
-        console.debug('[ContentScript] Gemini CSS patch injected:', css);
-    }
-    if (!document.documentElement.classList.contains('universal-dark-mode')) {
-        document.documentElement.classList.add('universal-dark-mode');
-        console.log('[Universal Dark Mode] Added universal-dark-mode class to <html>');
-    } else {
-        console.log('[Universal Dark Mode] universal-dark-mode class already present on <html>');
+    // Turn dark mode on: the site's own if it has one and the site is not excluded, otherwise ours.
+    // Returns whether our theme is the one in use.
+    function enableDarkMode() {
+        const root = document.documentElement;
+        if (nativeDarkMode && nativeDarkMode.enable()) {
+            root.classList.remove('universal-dark-mode');
+            return false;
+        }
+        if (!root.classList.contains('universal-dark-mode')) {
+            root.classList.add('universal-dark-mode');
+            console.log('[Universal Dark Mode] Added universal-dark-mode class to <html>');
+        } else {
+            console.log('[Universal Dark Mode] universal-dark-mode class already present on <html>');
+        }
+        return true;
+    }
+
+    // The class starts the theme engine, media analyzer and SVG recoloring, so it is only added
+    // once the background confirms dark mode is on for this page (global switch and site rule)
+    if (typeof chrome !== 'undefined' && chrome.runtime) {
+        chrome.runtime.sendMessage({ type: 'GET_SITE_RULE', url: window.location.href }).then(response => {
+            if (!response || !response.success) return;
+            // The site may be excluded from its own dark mode; this must be known before enabling
+            setNativePreference(response.preferNativeDarkMode !== false);
+            if (response.effectiveEnabled) enableDarkMode();
+        }).catch(error => console.debug('[ContentScript] Could not read the dark mode state:', error.message));
+    }
+
+    // Follow the per-site choice (storage.sync nativeDarkModeRules) between the site's dark mode and ours
+    function applyNativePreference(rules) {
+        setNativePreference((rules || {})[window.location.origin] !== NativeDarkMode.RULE_USE_EXTENSION);
+    }
+
+    // Switch between the site's dark mode and ours if dark mode is already on
+    function setNativePreference(preferNative) {
+        if (!nativeDarkMode || preferNative === nativeDarkMode.preferNative) return;
+        nativeDarkMode.preferNative = preferNative;
+        const darkModeOn = nativeDarkMode.isApplied() || document.documentElement.classList.contains('universal-dark-mode');
+        if (!darkModeOn) return;
+        nativeDarkMode.disable();
+        if (enableDarkMode()) {
+            // The background inserts dark-theme.css only into pages that have our class
+            chrome.runtime.sendMessage({ type: 'REFRESH_TAB_THEME' }).catch(error => {
+                console.debug('[ContentScript] Could not request the theme stylesheet:', error.message);
+            });
+        }
+    }
+    // The initial value comes with the dark mode state above (GET_SITE_RULE preferNativeDarkMode)
+    if (nativeDarkMode && typeof chrome !== 'undefined' && chrome.storage) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes[NativeDarkMode.STORAGE_KEY]) {
+                applyNativePreference(changes[NativeDarkMode.STORAGE_KEY].newValue);
+            }
+        });
     }
 
     // Improved fix for transparent menus/overlays with reduced flicker
@@ -168,18 +217,16 @@
                 classes: Array.from(el.classList),
                 role: el.getAttribute('role')
             };
-            // Use AI model if available
-            let isMenu = false;
-            if (window.classifyElement) {
-                isMenu = window.classifyElement(features);
-            } else {
+            // Use the on-device model (ai-model.js) once it has enough feedback; it returns null until then
+            let isMenu = window.classifyElement ? window.classifyElement(features) : null;
+            if (isMenu === null) {
                 // fallback to heuristic
                 isMenu = isLikelyMenu(el, style, rect, vw, vh);
             }
             if (isMenu) {
-                el.style.setProperty('background-color', '#222', 'important');
-                el.style.setProperty('color', '#e4e6eb', 'important');
-                el.style.setProperty('border-color', '#444', 'important');
+                el.style.setProperty('background-color', ThemePalette.cssVar('surface'), 'important');
+                el.style.setProperty('color', ThemePalette.cssVar('text'), 'important');
+                el.style.setProperty('border-color', ThemePalette.cssVar('border'), 'important');
                 el.setAttribute('data-darkmode-fixed', 'true');
                 console.log('[Universal Dark Mode] Fixed universal menu:', el);
                 // Show feedback prompt for accuracy reporting
@@ -188,8 +235,8 @@
                     promptDiv.style.position = 'fixed';
                     promptDiv.style.left = (el.getBoundingClientRect().left + 10) + 'px';
                     promptDiv.style.top = (el.getBoundingClientRect().top + 10) + 'px';
-                    promptDiv.style.background = '#222';
-                    promptDiv.style.color = '#fff';
+                    promptDiv.style.background = ThemePalette.cssVar('surface');
+                    promptDiv.style.color = ThemePalette.cssVar('text');
                     promptDiv.style.padding = '6px 12px';
                     promptDiv.style.borderRadius = '6px';
                     promptDiv.style.zIndex = '99999';
@@ -201,12 +248,12 @@
                     setTimeout(() => { promptDiv.style.opacity = '1'; }, 10);
                     el.setAttribute('data-darkmode-accuracy', 'prompted');
                     promptDiv.querySelector('#fix-yes').onclick = function() {
-                        saveAccuracyFeedback(el, true);
+                        saveAccuracyFeedback(el, true, features);
                         promptDiv.style.opacity = '0';
                         setTimeout(() => promptDiv.remove(), 500);
                     };
                     promptDiv.querySelector('#fix-no').onclick = function() {
-                        saveAccuracyFeedback(el, false);
+                        saveAccuracyFeedback(el, false, features);
                         promptDiv.style.opacity = '0';
                         setTimeout(() => promptDiv.remove(), 500);
                     };
@@ -216,63 +263,138 @@
                     }, 10000);
                 }
             }
-    // Save accuracy feedback to localStorage
-    function saveAccuracyFeedback(el, isFixed) {
+    // Save accuracy feedback (with the classifier features) to the learning store and train on it
+    async function saveAccuracyFeedback(el, isFixed, features) {
         console.info('[ContentScript] saveAccuracyFeedback called for:', el, 'isFixed:', isFixed);
-        let arr = [];
+        // Feedback for this element (by outerHTML and url) is updated, otherwise a new entry is added
         try {
-            arr = JSON.parse(localStorage.getItem('darkmode_feedback') || '[]');
-        } catch {}
-        // Find feedback for this element (by outerHTML and url)
-        const url = window.location.href;
-        const outerHTML = el.outerHTML;
-        let found = arr.find(f => f.outerHTML === outerHTML && f.url === url);
-        if (found) {
-            found.fixed = isFixed;
-        } else {
-            // If not found, add a new entry
-            arr.push({
-                outerHTML,
+            await learningStore.upsert('darkmode_feedback', { outerHTML: el.outerHTML, url: window.location.href }, {
                 tag: el.tagName,
                 classes: Array.from(el.classList),
-                url,
                 feedback: '',
                 timestamp: Date.now(),
-                fixed: isFixed
-            });
+                fixed: isFixed,
+                features
+            }, { insert: true });
+        } catch (error) {
+            console.warn('[ContentScript] Could not save accuracy feedback:', error.message);
+            return;
         }
-        localStorage.setItem('darkmode_feedback', JSON.stringify(arr));
-        localStorage.setItem('darkmode_last_train', Date.now().toString());
-        if (window.updateModelStatus) window.updateModelStatus();
+        // Incremental update on the new answer
+        if (window.trainModelFromFeedback) window.trainModelFromFeedback();
     }
         });
     }
 
+    // Inline SVG recoloring. The theme engine (theme-engine.js) leaves SVG alone, so icons and
+    // illustrations with hard-coded dark fill/stroke colors stay dark on the dark page. Those colors
+    // are lifted with the same transformation the engine uses for text; saturated brand colors and
+    // currentColor (which follows the already remapped text color) are kept. Shapes inside <symbol>
+    // sprites are recolored in place, so every <use> of them follows. The new color is set inline
+    // (inline styles are cloned into <use> instances) and the original is kept for restoring.
+    // Each shape is checked once; after the first pass only shapes in added subtrees are looked at.
+    const SVG_SHAPE_SELECTOR = 'svg path, svg circle, svg rect, svg ellipse, svg line, svg polyline, svg polygon, svg text, svg tspan, svg use';
+    const SVG_PAINT_PROPERTIES = ['fill', 'stroke'];
+    const SVG_BRAND_SATURATION = 0.5;
+    const SVG_MAX_ELEMENTS = 3000;
+    let svgChecked = new WeakSet(); // Shapes already checked (recolored or kept) while the theme is on
+
+    // Remapped color for a computed fill/stroke, or null to keep it
+    function svgPaintReplacement(value, textColor, ranges) {
+        if (!value || value === 'none' || value.startsWith('url(') || value === textColor) return null;
+        const color = ColorUtils.parseColor(value);
+        if (!color || color.alpha === 0) return null;
+        if (ColorUtils.rgbToHsl(color).s >= SVG_BRAND_SATURATION) return null;
+        return ColorUtils.needsRemap(value, 'foreground', ranges) ? ColorUtils.remap(value, 'foreground', ranges) : null;
+    }
+
+    // Shapes in and under `roots` (default: the whole page) that have not been checked yet
+    function uncheckedSvgShapes(roots) {
+        const shapes = [];
+        roots.forEach(root => {
+            if (!root.isConnected) return;
+            if (root.matches && root.matches(SVG_SHAPE_SELECTOR)) shapes.push(root);
+            shapes.push(...root.querySelectorAll(SVG_SHAPE_SELECTOR));
+        });
+        return shapes.filter(el => !svgChecked.has(el)).slice(0, SVG_MAX_ELEMENTS);
+    }
+
+    function recolorInlineSvgs(roots = [document]) {
+        if (!document.documentElement.classList.contains('universal-dark-mode')) return;
+        const ranges = window.darkModeTheme ? window.darkModeTheme.ranges : undefined;
+        let recolored = 0;
+        uncheckedSvgShapes(roots).forEach(el => {
+            svgChecked.add(el);
+            const style = window.getComputedStyle(el);
+            SVG_PAINT_PROPERTIES.forEach(property => {
+                const marker = `data-udm-svg-${property}`;
+                if (el.hasAttribute(marker)) return;
+                const replacement = svgPaintReplacement(style.getPropertyValue(property), style.color, ranges);
+                if (!replacement) return;
+                el.setAttribute(marker, el.style.getPropertyValue(property));
+                el.style.setProperty(property, replacement, 'important');
+                recolored++;
+            });
+        });
+        if (recolored > 0) console.debug('[ContentScript] Recolored SVG paints:', recolored);
+    }
+
+    function restoreInlineSvgs() {
+        svgChecked = new WeakSet();
+        SVG_PAINT_PROPERTIES.forEach(property => {
+            const marker = `data-udm-svg-${property}`;
+            document.querySelectorAll(`[${marker}]`).forEach(el => {
+                const original = el.getAttribute(marker);
+                if (original) {
+                    el.style.setProperty(property, original);
+                } else {
+                    el.style.removeProperty(property);
+                }
+                el.removeAttribute(marker);
+            });
+        });
+    }
+
+    // Follow the dark mode class however it is toggled (other class changes on <html> are ignored)
+    let svgThemeOn = document.documentElement.classList.contains('universal-dark-mode');
+    new MutationObserver(() => {
+        const themeOn = document.documentElement.classList.contains('universal-dark-mode');
+        if (themeOn === svgThemeOn) return;
+        svgThemeOn = themeOn;
+        if (themeOn) {
+            recolorInlineSvgs();
+        } else {
+            restoreInlineSvgs();
+        }
+    }).observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+
     let debounceTimer;
-    const observer = new MutationObserver(() => {
+    let addedRoots = []; // Elements added since the last run, for the SVG pass
+    const observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+            if (node.nodeType === 1) addedRoots.push(node);
+        }));
         clearTimeout(debounceTimer);
-        debounceTimer = setTimeout(fixTransparentMenus, 100);
+        debounceTimer = setTimeout(() => {
+            fixTransparentMenus();
+            const roots = addedRoots;
+            addedRoots = [];
+            if (roots.length > 0) recolorInlineSvgs(roots);
+        }, 100);
     });
     observer.observe(document.body, { childList: true, subtree: true });
-    // Load AI model script if not present
-    if (!window.classifyElement) {
-        const script = document.createElement('script');
-        script.src = chrome.runtime.getURL('ai-model.js');
-        script.onload = () => {
-            fixTransparentMenus();
-        };
-        document.head.appendChild(script);
-    } else {
-        fixTransparentMenus();
-    }
+    // ai-model.js is loaded before this script by the manifest, so the classifier is ready here
+    fixTransparentMenus();
+    recolorInlineSvgs();
 
     // Add: Remove Gemini CSS patch and universal-dark-mode class
     function removeGeminiCssPatch() {
         console.info('[ContentScript] removeGeminiCssPatch called');
-        let styleTag = document.getElementById('gemini-auto-dark-mode-styles');
-        if (styleTag) styleTag.remove();
+        if (window.darkModePatches) {
+            window.darkModePatches.removeAll();
+        }
         document.documentElement.classList.remove('universal-dark-mode');
-        console.debug('[ContentScript] Gemini CSS patch removed and universal-dark-mode class removed');
+        console.debug('[ContentScript] Patch layers removed and universal-dark-mode class removed');
     }
 
     // Add: Extract all accessible CSS from the page
@@ -306,8 +428,8 @@
             modal.style.position = 'fixed';
             modal.style.top = '20px';
             modal.style.right = '20px';
-            modal.style.background = '#222';
-            modal.style.color = '#fff';
+            modal.style.background = ThemePalette.cssVar('surface');
+            modal.style.color = ThemePalette.cssVar('text');
             modal.style.padding = '16px';
             modal.style.borderRadius = '8px';
             modal.style.zIndex = '99999';
@@ -339,7 +461,7 @@
             console.debug('[ContentScript] CONVERT_CSS_TO_DARK_MODE response:', response);
             if (response && response.status === 'success') {
                 showGeminiStatus('Gemini generated the following CSS patch:', response.payload.newCss);
-                injectGeminiCssPatch(response.payload.newCss);
+                injectGeminiCssPatch(response.payload.newCss, { source: 'page-conversion', key: 'page-conversion' });
             } else {
                 showGeminiStatus('Gemini failed to generate a patch.', response ? response.payload.error : 'No response');
                 console.error('[ContentScript] Conversion failed.', response ? response.payload.error : 'No response');
@@ -367,23 +489,13 @@
         realTimeDarkModeInterval = setInterval(() => {
             analyzeDarkModeIssues();
             
-            // Optional: Retrain AI model every 10 cycles (20 seconds) if new feedback exists
+            // Optional: Retrain AI model every 10 cycles (20 seconds); it only learns from
+            // feedback newer than its last run, which may come from other sites
             analysisCycle++;
             if (analysisCycle % 10 === 0 && window.trainModelFromFeedback) {
-                const lastTrain = localStorage.getItem('darkmode_last_train');
-                const feedbackData = localStorage.getItem('darkmode_feedback');
-                if (feedbackData) {
-                    try {
-                        const feedback = JSON.parse(feedbackData);
-                        const lastFeedbackTime = Math.max(...feedback.map(f => f.timestamp || 0));
-                        if (!lastTrain || lastFeedbackTime > parseInt(lastTrain)) {
-                            console.debug('[ContentScript] Retraining AI model with new feedback');
-                            window.trainModelFromFeedback();
-                        }
-                    } catch (e) {
-                        console.debug('[ContentScript] Error checking feedback for retraining:', e);
-                    }
-                }
+                window.trainModelFromFeedback().catch(e => {
+                    console.debug('[ContentScript] Error retraining on new feedback:', e);
+                });
             }
         }, 2000); // Check every 2 seconds
         
@@ -494,32 +606,36 @@
     function autoFixTransparentMenus(menuIssues) {
         console.debug('[ContentScript] Auto-fixing transparent menus:', menuIssues);
         
-        let cssPatches = [];
+        let fixedCount = 0;
         
+        // One layer per menu, keyed by selector, so re-running every cycle updates it in place
         menuIssues.forEach(issue => {
             const selector = generateCssSelector(issue.element);
             const patch = `
                 ${selector} {
-                    background-color: #222 !important;
-                    color: #e4e6ea !important;
-                    border: 1px solid #444 !important;
+                    background-color: ${ThemePalette.cssVar('surface')} !important;
+                    color: ${ThemePalette.cssVar('text')} !important;
+                    border: 1px solid ${ThemePalette.cssVar('border')} !important;
                 }
                 ${selector} a, ${selector} span, ${selector} div {
-                    color: #e4e6ea !important;
+                    color: ${ThemePalette.cssVar('text')} !important;
                 }
                 ${selector}:hover {
-                    background-color: #333 !important;
+                    background-color: ${ThemePalette.cssVar('surfaceElevated')} !important;
                 }
             `;
-            cssPatches.push(patch);
+            const layer = injectGeminiCssPatch(patch, {
+                source: 'auto-menu',
+                key: 'auto-menu:' + selector,
+                label: 'Menu fix: ' + selector,
+                recordHistory: false // Re-applied automatically every cycle, so not undoable
+            });
+            if (layer) fixedCount++;
         });
         
-        if (cssPatches.length > 0) {
-            const combinedPatch = cssPatches.join('\n');
-            injectGeminiCssPatch(combinedPatch);
-            
+        if (fixedCount > 0) {
             sendStatusUpdate({
-                fixesApplied: menuIssues.length,
+                fixesApplied: fixedCount,
                 lastAnalysis: Date.now()
             });
         }
@@ -553,29 +669,9 @@
         }
     }
     
+    // Perceived lightness (0=dark, 1=light) of an rgb/rgba/hex/hsl color (color-utils.js)
     function colorToLightness(color) {
-        // Parse rgb/rgba/hex and return lightness (0=dark, 1=light)
-        if (!color) return 0;
-        let r = 0, g = 0, b = 0;
-        
-        if (color.startsWith('rgb')) {
-            const vals = color.match(/\d+/g);
-            if (vals && vals.length >= 3) {
-                r = parseInt(vals[0]);
-                g = parseInt(vals[1]);
-                b = parseInt(vals[2]);
-            }
-        } else if (color.startsWith('#')) {
-            const hex = color.substring(1);
-            if (hex.length === 6) {
-                r = parseInt(hex.substring(0, 2), 16);
-                g = parseInt(hex.substring(2, 4), 16);
-                b = parseInt(hex.substring(4, 6), 16);
-            }
-        }
-        
-        // Perceived lightness formula
-        return Math.max(0, Math.min(1, (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255));
+        return ColorUtils.lightness(color);
     }
     
     // Enhanced element selection with Edge-style highlighting
@@ -824,7 +920,8 @@
     
     function getCurrentDarkModeStatus() {
         return {
-            enabled: document.documentElement.classList.contains('universal-dark-mode'),
+            enabled: document.documentElement.classList.contains('universal-dark-mode') || !!(nativeDarkMode && nativeDarkMode.isApplied()),
+            nativeDarkMode: nativeDarkMode ? nativeDarkMode.getStatus() : null,
             problemsFound: lastKnownIssues.length,
             analyzing: !!realTimeDarkModeInterval,
             lastAnalysis: Date.now(),
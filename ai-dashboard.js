@@ -3,8 +3,20 @@
   -----------------------------------------------------
   Provides detailed insights into the AI learning system
   and recommendations for improvement.
+  Loaded by the popup. Metrics are computed by background.js from the
+  learning store (feedback, success metrics, fix tracking, fix ratings and
+  resolutions); pattern insights come from the proxy's pattern analysis.
 */
 
+// Escape text for the innerHTML templates below
+function escapeDashboardText(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function formatPercent(value) {
+    return value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+}
+
 class AILearningDashboard {
     constructor() {
         this.initializeDashboard();
@@ -25,14 +37,19 @@ class AILearningDashboard {
             // Get comprehensive learning data
             const learningData = await this.fetchLearningData();
             
+            const trend = learningData.accuracyTrend;
             metricsContainer.innerHTML = `
                 <div class="metrics-grid">
                     <div class="metric-card">
                         <h4>🎯 Accuracy</h4>
-                        <div class="metric-value">${Math.round(learningData.accuracy * 100)}%</div>
-                        <div class="metric-trend ${learningData.accuracyTrend > 0 ? 'positive' : 'negative'}">
-                            ${learningData.accuracyTrend > 0 ? '↗' : '↘'} ${Math.abs(learningData.accuracyTrend)}%
-                        </div>
+                        <div class="metric-value">${formatPercent(learningData.accuracy)}</div>
+                        ${trend === null ? `
+                            <div class="metric-detail">${learningData.ratedFixes} rated fixes</div>
+                        ` : `
+                            <div class="metric-trend ${trend >= 0 ? 'positive' : 'negative'}">
+                                ${trend >= 0 ? '↗' : '↘'} ${Math.abs(trend)}% vs last week
+                            </div>
+                        `}
                     </div>
                     
                     <div class="metric-card">
@@ -49,11 +66,22 @@ class AILearningDashboard {
                     
                     <div class="metric-card">
                         <h4>⚡ Auto-Fix Rate</h4>
-                        <div class="metric-value">${Math.round(learningData.autoFixRate * 100)}%</div>
+                        <div class="metric-value">${formatPercent(learningData.autoFixRate)}</div>
                         <div class="metric-detail">without Gemini API</div>
                     </div>
                 </div>
                 
+                <div class="accuracy-history">
+                    <h4>Accuracy by Week</h4>
+                    <div class="accuracy-bars">
+                        ${learningData.accuracyHistory.map(week => `
+                            <div class="accuracy-bar" title="Week ending ${new Date(week.weekEnding).toLocaleDateString()}: ${week.ratings} ratings">
+                                <div class="accuracy-bar-fill" style="height: ${week.accuracy === null ? 0 : Math.round(week.accuracy * 100)}%"></div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+                
                 <div class="learning-progress">
                     <h4>Learning Progress</h4>
                     <div class="progress-bar">
@@ -79,6 +107,7 @@ class AILearningDashboard {
 
         try {
             const patterns = await this.fetchPatternData();
+            const emptyItem = `<li>${patterns.serverAvailable ? 'Not enough rated fixes yet' : 'Pattern server unavailable'}</li>`;
             
             insightsContainer.innerHTML = `
                 <div class="insights-section">
@@ -89,10 +118,10 @@ class AILearningDashboard {
                         <ul class="pattern-list">
                             ${patterns.topCSSRules.map(rule => `
                                 <li>
-                                    <code>${rule.selector}</code>
+                                    <code>${escapeDashboardText(rule.selector)}</code>
                                     <span class="effectiveness">${Math.round(rule.effectiveness * 100)}% effective</span>
                                 </li>
-                            `).join('')}
+                            `).join('') || emptyItem}
                         </ul>
                     </div>
                     
@@ -101,11 +130,11 @@ class AILearningDashboard {
                         <ul class="pattern-list">
                             ${patterns.problematicElements.map(element => `
                                 <li>
-                                    <span class="element-tag">&lt;${element.tag}&gt;</span>
+                                    <span class="element-tag">&lt;${escapeDashboardText(element.tag)}&gt;</span>
                                     <span class="frequency">${element.frequency} issues</span>
-                                    <span class="fix-rate">${Math.round(element.fixRate * 100)}% fix rate</span>
+                                    <span class="fix-rate">${element.fixRate === null ? 'unrated' : `${Math.round(element.fixRate * 100)}% fix rate`}</span>
                                 </li>
-                            `).join('')}
+                            `).join('') || emptyItem}
                         </ul>
                     </div>
                     
@@ -114,10 +143,10 @@ class AILearningDashboard {
                         <ul class="pattern-list">
                             ${patterns.topDomains.map(domain => `
                                 <li>
-                                    <span class="domain">${domain.name}</span>
+                                    <span class="domain">${escapeDashboardText(domain.name)}</span>
                                     <span class="specialization">${Math.round(domain.specialization * 100)}% specialized</span>
                                 </li>
-                            `).join('')}
+                            `).join('') || emptyItem}
                         </ul>
                     </div>
                 </div>
@@ -149,7 +178,7 @@ class AILearningDashboard {
                             </div>
                             <div class="rec-description">${rec.description}</div>
                             ${rec.action ? `
-                                <button class="rec-action" onclick="${rec.action}">
+                                <button class="rec-action" data-action="${rec.action}">
                                     ${rec.actionText}
                                 </button>
                             ` : ''}
@@ -158,43 +187,46 @@ class AILearningDashboard {
                 </div>
             `;
             
+            // Extension pages do not allow inline onclick handlers; actions name the window.* functions below
+            recommendationsContainer.querySelectorAll('.rec-action').forEach(button => {
+                button.addEventListener('click', () => {
+                    const action = window[button.dataset.action];
+                    if (typeof action === 'function') {
+                        action();
+                    } else {
+                        console.warn('[Dashboard] Unknown recommendation action:', button.dataset.action);
+                    }
+                });
+            });
+            
         } catch (error) {
             console.error('[Dashboard] Error rendering recommendations:', error);
             recommendationsContainer.innerHTML = '<div class="error">Unable to load recommendations</div>';
         }
     }
 
+    sendToBackground(message) {
+        return new Promise((resolve, reject) => {
+            browserAPI.runtime.sendMessage(message, (response) => {
+                if (browserAPI.runtime.lastError) {
+                    reject(new Error(browserAPI.runtime.lastError.message));
+                } else if (!response || !response.success) {
+                    reject(new Error((response && response.error) || 'No response from background'));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
     async fetchLearningData() {
-        // Simulate fetching comprehensive learning data
-        return {
-            accuracy: 0.87,
-            accuracyTrend: 5.2,
-            learningSpeed: 12,
-            siteCoverage: 47,
-            autoFixRate: 0.73,
-            overallProgress: 68
-        };
+        const response = await this.sendToBackground({ type: 'GET_FEEDBACK_ANALYTICS' });
+        return response.analytics;
     }
 
     async fetchPatternData() {
-        // Simulate fetching pattern analysis data
-        return {
-            topCSSRules: [
-                { selector: '.menu, .dropdown', effectiveness: 0.92 },
-                { selector: 'nav', effectiveness: 0.89 },
-                { selector: '[class*="modal"]', effectiveness: 0.85 }
-            ],
-            problematicElements: [
-                { tag: 'div', frequency: 156, fixRate: 0.82 },
-                { tag: 'nav', frequency: 89, fixRate: 0.94 },
-                { tag: 'button', frequency: 67, fixRate: 0.78 }
-            ],
-            topDomains: [
-                { name: 'console.cloud.google.com', specialization: 0.89 },
-                { name: 'github.com', specialization: 0.76 },
-                { name: 'stackoverflow.com', specialization: 0.71 }
-            ]
-        };
+        const response = await this.sendToBackground({ type: 'GET_AI_LEARNING_ANALYTICS' });
+        return { ...response.learningData, serverAvailable: response.serverAvailable };
     }
 
     async generateRecommendations() {
@@ -203,24 +235,24 @@ class AILearningDashboard {
         const recommendations = [];
 
         // High priority recommendations
-        if (learningData.accuracy < 0.8) {
+        if (learningData.accuracy !== null && learningData.accuracy < 0.8) {
             recommendations.push({
                 icon: '⚠️',
                 title: 'Improve Learning Accuracy',
                 description: 'Current accuracy is below optimal. Consider collecting more user feedback for problematic elements.',
                 priority: 'high',
-                action: 'focusOnAccuracy()',
+                action: 'focusOnAccuracy',
                 actionText: 'Start Accuracy Focus Mode'
             });
         }
 
-        if (learningData.autoFixRate < 0.5) {
+        if (learningData.autoFixRate !== null && learningData.autoFixRate < 0.5) {
             recommendations.push({
                 icon: '🚀',
                 title: 'Boost Auto-Fix Capability',
                 description: 'Low auto-fix rate detected. The AI needs more training data to work independently.',
                 priority: 'high',
-                action: 'enableLearningMode()',
+                action: 'enableLearningMode',
                 actionText: 'Enable Enhanced Learning'
             });
         }
@@ -232,7 +264,7 @@ class AILearningDashboard {
                 title: 'Expand Site Coverage',
                 description: 'Visit more diverse websites to improve the AI\'s adaptability across different domains.',
                 priority: 'medium',
-                action: 'suggestSites()',
+                action: 'suggestSites',
                 actionText: 'Get Site Suggestions'
             });
         }
@@ -243,7 +275,7 @@ class AILearningDashboard {
             title: 'Export Learning Data',
             description: 'Your AI has learned valuable patterns. Consider exporting data for backup or analysis.',
             priority: 'low',
-            action: 'exportLearningData()',
+            action: 'exportLearningData',
             actionText: 'Export Data'
         });
 
@@ -270,21 +302,33 @@ class AILearningDashboard {
 
 // Dashboard action functions
 window.focusOnAccuracy = function() {
-    // Enable accuracy focus mode
+    // Low-confidence fixes will ask for verification before being trusted
     browserAPI.runtime.sendMessage({
         type: 'ENABLE_ACCURACY_FOCUS',
         mode: 'high_priority'
+    }, (response) => {
+        if (response && response.success) {
+            console.log('[Dashboard] Accuracy focus mode enabled');
+            addChatMessage('System', '🎯 Accuracy focus on: low-confidence fixes will ask you to verify them.', 'system');
+        } else {
+            console.error('[Dashboard] Could not enable accuracy focus:', response && response.error);
+        }
     });
-    console.log('[Dashboard] Accuracy focus mode enabled');
 };
 
 window.enableLearningMode = function() {
-    // Enable enhanced learning mode
+    // Collect extra element features with each tracked fix
     browserAPI.runtime.sendMessage({
         type: 'ENABLE_ENHANCED_LEARNING',
         aggressiveness: 'high'
+    }, (response) => {
+        if (response && response.success) {
+            console.log('[Dashboard] Enhanced learning mode enabled');
+            addChatMessage('System', '🧠 Enhanced learning on: fixes now record more detail about each element.', 'system');
+        } else {
+            console.error('[Dashboard] Could not enable enhanced learning:', response && response.error);
+        }
     });
-    console.log('[Dashboard] Enhanced learning mode enabled');
 };
 
 window.suggestSites = function() {
@@ -301,20 +345,8 @@ window.suggestSites = function() {
 };
 
 window.exportLearningData = function() {
-    // Export all learning data
-    browserAPI.runtime.sendMessage({
-        type: 'EXPORT_LEARNING_DATA'
-    }, (response) => {
-        if (response && response.data) {
-            const blob = new Blob([JSON.stringify(response.data, null, 2)], 
-                { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `ai-learning-data-${Date.now()}.json`;
-            a.click();
-        }
-    });
+    // Same bundle as the popup's Export Data button
+    handleExportLearningData();
 };
 
 // Initialize dashboard when DOM is ready
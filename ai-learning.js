@@ -2,7 +2,9 @@
   AI Learning Engine: Universal Dark Mode Extension
   ------------------------------------------------
   This module enhances the AI's ability to learn from user feedback
-  and improve dark mode fixes over time.
+  and improve dark mode fixes over time. Feedback, patterns and success
+  metrics are read and written through the background's learning store
+  (learning-store.js), so what is learned on one site applies on all of them.
 */
 
 class AILearningEngine {
@@ -11,16 +13,17 @@ class AILearningEngine {
         this.patternDatabase = 'darkmode_patterns';
         this.successMetrics = 'darkmode_success';
         this.learningThreshold = 0.7; // Confidence threshold for auto-application
+        this.store = new LearningStoreClient();
     }
 
     // Advanced feedback analysis with pattern recognition
     async analyzeFeedbackPatterns() {
         try {
-            const feedback = JSON.parse(localStorage.getItem(this.feedbackDatabase) || '[]');
+            const feedback = await this.store.query(this.feedbackDatabase);
             const patterns = this.extractPatterns(feedback);
             
             // Store learned patterns for future use
-            localStorage.setItem(this.patternDatabase, JSON.stringify(patterns));
+            await this.store.set(this.patternDatabase, patterns);
             
             return patterns;
         } catch (error) {
@@ -209,26 +212,26 @@ class AILearningEngine {
                 case 'transparent_background':
                     cssRules.push(`
                         .menu, .dropdown, [class*="menu"], [class*="dropdown"] {
-                            background-color: #222 !important;
-                            border: 1px solid #444 !important;
+                            background-color: ${ThemePalette.cssVar('surface')} !important;
+                            border: 1px solid ${ThemePalette.cssVar('border')} !important;
                         }
                     `);
                     break;
                 case 'poor_contrast':
                     cssRules.push(`
                         * {
-                            color: #e0e0e0 !important;
+                            color: ${ThemePalette.cssVar('text')} !important;
                         }
                         a, .link {
-                            color: #58a6ff !important;
+                            color: ${ThemePalette.cssVar('link')} !important;
                         }
                     `);
                     break;
                 case 'menu_issues':
                     cssRules.push(`
                         nav, .navigation, .nav-menu {
-                            background-color: #1a1a1a !important;
-                            color: #ffffff !important;
+                            background-color: ${ThemePalette.cssVar('background')} !important;
+                            color: ${ThemePalette.cssVar('text')} !important;
                         }
                     `);
                     break;
@@ -250,19 +253,11 @@ class AILearningEngine {
                 effectivenessScore: this.calculateEffectivenessScore(userRating)
             };
 
-            // Store success metrics
-            let successMetrics = JSON.parse(localStorage.getItem(this.successMetrics) || '[]');
-            successMetrics.push(successData);
-            
-            // Keep only last 500 entries to prevent storage bloat
-            if (successMetrics.length > 500) {
-                successMetrics = successMetrics.slice(-500);
-            }
-            
-            localStorage.setItem(this.successMetrics, JSON.stringify(successMetrics));
+            // Store success metrics (the store keeps the last 500 entries)
+            await this.store.append(this.successMetrics, successData);
 
             // Update feedback database with success info
-            this.updateFeedbackWithSuccess(elementData, appliedCSS, userRating);
+            await this.updateFeedbackWithSuccess(elementData, appliedCSS, userRating);
 
             return successData;
         } catch (error) {
@@ -282,24 +277,15 @@ class AILearningEngine {
     }
 
     // Update feedback database with success information
-    updateFeedbackWithSuccess(elementData, appliedCSS, userRating) {
+    async updateFeedbackWithSuccess(elementData, appliedCSS, userRating) {
         try {
-            let feedback = JSON.parse(localStorage.getItem(this.feedbackDatabase) || '[]');
-            
-            // Find matching feedback entry
-            const matchingIndex = feedback.findIndex(item => 
-                item.tag === elementData.tag && 
-                JSON.stringify(item.classes) === JSON.stringify(elementData.classes)
-            );
-
-            if (matchingIndex !== -1) {
-                feedback[matchingIndex].fixed = userRating === 'up';
-                feedback[matchingIndex].appliedCSS = appliedCSS;
-                feedback[matchingIndex].userRating = userRating;
-                feedback[matchingIndex].lastUpdated = Date.now();
-                
-                localStorage.setItem(this.feedbackDatabase, JSON.stringify(feedback));
-            }
+            // Update the first feedback entry for the same element
+            await this.store.upsert(this.feedbackDatabase, { tag: elementData.tag, classes: elementData.classes }, {
+                fixed: userRating === 'up',
+                appliedCSS,
+                userRating,
+                lastUpdated: Date.now()
+            });
         } catch (error) {
             console.error('[AI Learning] Error updating feedback:', error);
         }
@@ -308,7 +294,7 @@ class AILearningEngine {
     // Generate comprehensive learning report
     async generateLearningReport() {
         const patterns = await this.analyzeFeedbackPatterns();
-        const successMetrics = JSON.parse(localStorage.getItem(this.successMetrics) || '[]');
+        const successMetrics = await this.store.query(this.successMetrics);
         
         const report = {
             totalFeedback: Object.values(patterns.commonProblems).reduce((sum, p) => sum + p.count, 0),
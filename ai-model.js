@@ -0,0 +1,233 @@
+/*
+  AI Model: Universal Dark Mode Extension
+  ---------------------------------------
+  On-device classifier that decides whether an element is a menu/overlay
+  that needs a dark background. It is a small logistic regression over the
+  feature object built by fixTransparentMenus() in add-dark-class.js, and it
+  trains incrementally on the yes/no accuracy answers saved in
+  `darkmode_feedback`. Predictions run in the page; the model and the feedback
+  are kept in the background's learning store (learning-store.js), so one
+  model is shared by every site. Nothing leaves the device.
+*/
+
+class MenuClassifier {
+    constructor() {
+        this.version = '1.0.0'; // Bump when the feature layout changes; stored models of another version are discarded
+        this.storageKey = 'darkmode_menu_model';
+        this.feedbackDatabase = 'darkmode_feedback';
+        this.minTrainingSamples = 5; // Below this the caller falls back to its heuristic
+        this.learningRate = 0.3;
+        this.epochsPerUpdate = 5; // Passes over each batch of new feedback
+        this.regularization = 0.001;
+        this.threshold = 0.5;
+
+        this.featureNames = [
+            'positioned',         // fixed or absolute
+            'fixed',
+            'zIndex',             // log-scaled, 0..1
+            'transparent',        // fully transparent background
+            'translucent',        // partially transparent background
+            'widthRatio',         // fraction of the viewport
+            'heightRatio',
+            'tooSmall',           // 40px or less in either dimension
+            'nearlyFullViewport', // 90% or more of the viewport in either dimension
+            'menuClass',          // menu, nav, sidebar, drawer, dropdown, popover...
+            'excludedClass',      // backdrop, overlay, main
+            'menuRole'            // role=menu, navigation, dialog...
+        ];
+
+        this.store = new LearningStoreClient();
+        this.model = this.createInitialModel(); // Replaced by the stored model once it loads
+        this.loaded = this.loadModel();
+        this.watchStoredModel();
+    }
+
+    // Starting weights mirror the isLikelyMenu() heuristic so early predictions are sensible
+    createInitialModel() {
+        return {
+            version: this.version,
+            weights: [1.5, 0.5, 2.0, 3.0, 0.5, 0.5, 0.5, -4.0, -4.0, 2.5, -4.0, 2.5],
+            bias: -6.0,
+            samples: 0,
+            correct: 0,
+            trainedThrough: 0, // Timestamp of the newest feedback record learned from
+            revision: 0,
+            updatedAt: null
+        };
+    }
+
+    isCompatible(stored) {
+        return !!stored && stored.version === this.version && Array.isArray(stored.weights) &&
+            stored.weights.length === this.featureNames.length;
+    }
+
+    async loadModel() {
+        try {
+            const { [this.storageKey]: stored } = await this.store.get([this.storageKey]);
+            if (this.isCompatible(stored)) {
+                this.model = stored;
+            }
+        } catch (error) {
+            console.debug('[AI Model] Could not load stored model:', error);
+        }
+        return this.model;
+    }
+
+    // Another tab may train the shared model; pick up its newer revisions
+    watchStoredModel() {
+        const storage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage : (typeof browser !== 'undefined' ? browser.storage : null);
+        if (!storage || !storage.onChanged) return;
+        storage.onChanged.addListener((changes, areaName) => {
+            const change = changes[this.storageKey];
+            if (areaName !== 'local' || !change || !this.isCompatible(change.newValue)) return;
+            if (change.newValue.revision > this.model.revision) {
+                this.model = change.newValue;
+            }
+        });
+    }
+
+    async saveModel() {
+        try {
+            await this.store.set(this.storageKey, this.model);
+        } catch (error) {
+            console.debug('[AI Model] Could not save model:', error);
+        }
+    }
+
+    // Alpha channel of a computed color; 1 when it cannot be parsed
+    parseAlpha(color) {
+        if (!color || color === 'transparent') return color === 'transparent' ? 0 : 1;
+        const match = color.match(/rgba?\(([^)]+)\)/);
+        if (!match) return 1;
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean);
+        return parts.length >= 4 ? parseFloat(parts[3]) : 1;
+    }
+
+    // Turn the feature object from fixTransparentMenus() into a numeric vector
+    vectorize(features) {
+        const viewportWidth = (typeof window !== 'undefined' && window.innerWidth) || 1280;
+        const viewportHeight = (typeof window !== 'undefined' && window.innerHeight) || 800;
+        const width = Number(features.width) || 0;
+        const height = Number(features.height) || 0;
+        const zIndex = parseFloat(features.zIndex);
+        const alpha = this.parseAlpha(features.backgroundColor);
+        const classes = (features.classes || []).map(name => String(name).toLowerCase());
+        const role = String(features.role || '').toLowerCase();
+
+        const hasClass = pattern => classes.some(name => pattern.test(name));
+
+        return [
+            features.position === 'fixed' || features.position === 'absolute' ? 1 : 0,
+            features.position === 'fixed' ? 1 : 0,
+            isNaN(zIndex) || zIndex <= 0 ? 0 : Math.min(1, Math.log10(1 + zIndex) / 4),
+            alpha === 0 ? 1 : 0,
+            alpha > 0 && alpha < 1 ? 1 : 0,
+            Math.min(1, width / viewportWidth),
+            Math.min(1, height / viewportHeight),
+            width <= 40 || height <= 40 ? 1 : 0,
+            width >= viewportWidth * 0.9 || height >= viewportHeight * 0.9 ? 1 : 0,
+            hasClass(/menu|nav|sidebar|drawer|dropdown|popover|popup/) ? 1 : 0,
+            hasClass(/^(backdrop|overlay|main)$/) ? 1 : 0,
+            ['menu', 'menubar', 'navigation', 'dialog', 'listbox'].includes(role) ? 1 : 0
+        ];
+    }
+
+    // Probability that the element is a menu needing a dark background
+    predictProbability(features) {
+        const vector = this.vectorize(features);
+        let sum = this.model.bias;
+        for (let i = 0; i < vector.length; i++) {
+            sum += this.model.weights[i] * vector[i];
+        }
+        return 1 / (1 + Math.exp(-sum));
+    }
+
+    // true/false once trained on enough feedback, null while the caller should use its heuristic
+    classify(features) {
+        if (!this.isReady()) return null;
+        return this.predictProbability(features) >= this.threshold;
+    }
+
+    isReady() {
+        return this.model.samples >= this.minTrainingSamples;
+    }
+
+    // One stochastic gradient step on a labelled example
+    learn(features, label) {
+        const vector = this.vectorize(features);
+        const error = (label ? 1 : 0) - this.predictProbability(features);
+        for (let i = 0; i < vector.length; i++) {
+            this.model.weights[i] += this.learningRate * (error * vector[i] - this.regularization * this.model.weights[i]);
+        }
+        this.model.bias += this.learningRate * error;
+    }
+
+    // Learn from accuracy feedback newer than the last training run. Accuracy is measured
+    // prequentially: each record is predicted before the model learns from it.
+    async trainFromFeedback() {
+        await this.loaded;
+        let feedback = [];
+        try {
+            // Only records newer than the last run come back, so frequent calls are cheap
+            feedback = await this.store.query(this.feedbackDatabase, { since: this.model.trainedThrough });
+        } catch (error) {
+            console.debug('[AI Model] Could not read feedback:', error);
+            return this.getModelInfo();
+        }
+
+        const newRecords = feedback
+            .filter(record => record.features && typeof record.fixed === 'boolean')
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        if (newRecords.length === 0) {
+            return this.getModelInfo();
+        }
+
+        newRecords.forEach(record => {
+            const predicted = this.predictProbability(record.features) >= this.threshold;
+            if (predicted === record.fixed) this.model.correct++;
+            this.model.samples++;
+            this.learn(record.features, record.fixed);
+            this.model.trainedThrough = Math.max(this.model.trainedThrough, record.timestamp || 0);
+        });
+        for (let epoch = 1; epoch < this.epochsPerUpdate; epoch++) {
+            newRecords.forEach(record => this.learn(record.features, record.fixed));
+        }
+
+        this.model.revision++;
+        this.model.updatedAt = Date.now();
+        await this.saveModel();
+
+        console.info(`[AI Model] Trained on ${newRecords.length} new feedback records`, this.getModelInfo());
+        return this.getModelInfo();
+    }
+
+    getModelInfo() {
+        return {
+            version: this.version,
+            revision: this.model.revision,
+            samples: this.model.samples,
+            accuracy: this.model.samples > 0 ? this.model.correct / this.model.samples : null,
+            ready: this.isReady(),
+            updatedAt: this.model.updatedAt
+        };
+    }
+
+    reset() {
+        this.model = this.createInitialModel();
+        this.saveModel();
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MenuClassifier;
+} else {
+    window.MenuClassifier = MenuClassifier;
+
+    // Entry points used by add-dark-class.js
+    const menuClassifier = new MenuClassifier();
+    window.classifyElement = features => menuClassifier.classify(features);
+    window.trainModelFromFeedback = () => menuClassifier.trainFromFeedback();
+    window.getModelInfo = () => menuClassifier.getModelInfo();
+}
@@ -9,9 +9,119 @@ const browserAPI = (function() {
     }
 })();
 
-// This function applies or removes the CSS theme file
-function toggleTheme(tabId, isEnabled) {
-    console.debug('[Background] toggleTheme called:', { tabId, isEnabled });
+// Shared with the content scripts: bundle merge rules, the learning store and the saved patch library
+importScripts('learning-bundle.js', 'learning-store.js', 'patch-library.js', 'privacy.js', 'palette.js', 'theme-filters.js', 'color-utils.js', 'media-analyzer.js', 'native-dark-mode.js');
+
+// The only writer of the learning stores; content scripts and the popup go through LEARNING_STORE messages
+const learningStore = new LearningStore(browserAPI.storage.local);
+
+// Per-site rule values stored in storage.sync under `siteRules`, keyed by origin.
+// Origins without an entry follow the global darkModeEnabled setting.
+const SITE_RULE_ALWAYS_ON = 'on';
+const SITE_RULE_ALWAYS_OFF = 'off';
+const SITE_RULE_FOLLOW_GLOBAL = 'global';
+
+// Extract the origin used as the site rule key, or null for non-web URLs
+function getSiteOrigin(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return null;
+        }
+        return parsed.origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Resolve whether the theme should be active for a URL given the global setting and the rules map
+function resolveSiteThemeState(url, globalEnabled, siteRules) {
+    const origin = getSiteOrigin(url);
+    const rule = (origin && siteRules && siteRules[origin]) || SITE_RULE_FOLLOW_GLOBAL;
+    if (rule === SITE_RULE_ALWAYS_ON) return true;
+    if (rule === SITE_RULE_ALWAYS_OFF) return false;
+    return !!globalEnabled;
+}
+
+// Sites whose page content must never reach the proxy: storage.sync `contentSharingRules`,
+// keyed by origin. Everything sent to the proxy goes through redactForProxy (privacy.js).
+const CONTENT_SHARING_NEVER = 'never';
+
+async function isContentSharingBlocked(url) {
+    const origin = getSiteOrigin(url);
+    if (!origin) return false;
+    const { contentSharingRules } = await browserAPI.storage.sync.get(['contentSharingRules']);
+    return (contentSharingRules || {})[origin] === CONTENT_SHARING_NEVER;
+}
+
+// Colors of the palette chosen in the side panel (palette.js), for prompts
+async function getActivePalette() {
+    const result = await browserAPI.storage.sync.get([ThemePalette.STORAGE_KEY]);
+    return ThemePalette.resolve(result[ThemePalette.STORAGE_KEY]);
+}
+
+// Send the filters in effect for a tab's origin (theme-filters.js) to its content script
+function sendThemeFilters(tabId, tabUrl, settings) {
+    const send = (stored) => {
+        const filters = ThemeFilters.resolve(stored, getSiteOrigin(tabUrl));
+        browserAPI.tabs.sendMessage(tabId, { type: 'APPLY_THEME_FILTERS', filters }, () => {
+            if (browserAPI.runtime.lastError) {
+                console.debug('[Background] Could not send theme filters to tab', tabId, ':', browserAPI.runtime.lastError.message);
+            }
+        });
+    };
+    if (settings) {
+        send(settings);
+        return;
+    }
+    browserAPI.storage.sync.get([ThemeFilters.STORAGE_KEY], (result) => send(result[ThemeFilters.STORAGE_KEY]));
+}
+
+// Origin of the frame that sent a message (from the browser, not the message), or 'null'
+function senderOrigin(sender) {
+    if (sender.origin) return sender.origin;
+    try {
+        return new URL(sender.url).origin;
+    } catch (error) {
+        return 'null';
+    }
+}
+
+// Element payload or page context with URLs, emails, tokens and long text redacted
+async function redactForProxy(data) {
+    if (!data) return data;
+    return PrivacyRedactor.redactPayload(data, { neverSend: await isContentSharingBlocked(data.url) });
+}
+
+// This function applies or removes the CSS theme file.
+// The global state is passed in; the per-site rule for the tab's origin is consulted before touching CSS.
+function toggleTheme(tabId, isEnabled, tabUrl) {
+    console.debug('[Background] toggleTheme called:', { tabId, isEnabled, tabUrl });
+    browserAPI.storage.sync.get(['siteRules'], (result) => {
+        const effectiveEnabled = tabUrl
+            ? resolveSiteThemeState(tabUrl, isEnabled, result.siteRules)
+            : isEnabled;
+        if (effectiveEnabled !== isEnabled) {
+            console.debug('[Background] Site rule overrides global state for tab', tabId, ':', effectiveEnabled);
+        }
+        applyThemeCss(tabId, effectiveEnabled, tabUrl);
+    });
+}
+
+// Insert or remove dark-theme.css on a tab once the effective state is known.
+// The content script is told first, so it adds or removes the universal-dark-mode class
+// (which pages only get while dark mode is on for them). The site's filters are sent
+// along so they sit on top of the freshly inserted theme.
+function applyThemeCss(tabId, isEnabled, tabUrl) {
+    browserAPI.tabs.sendMessage(tabId, { type: 'TOGGLE_DARK_MODE', enabled: isEnabled, realTime: false }, () => {
+        if (browserAPI.runtime.lastError) {
+            console.debug('[Background] Could not sync dark mode state to tab', tabId, ':', browserAPI.runtime.lastError.message);
+        }
+        updateThemeStylesheet(tabId, isEnabled, tabUrl);
+    });
+}
+
+function updateThemeStylesheet(tabId, isEnabled, tabUrl) {
     browserAPI.scripting.executeScript({
         target: { tabId: tabId },
         func: () => {
@@ -29,9 +139,11 @@ function toggleTheme(tabId, isEnabled) {
                     console.error(`[Universal Dark Mode] Failed to insert CSS on tab ${tabId}:`, browserAPI.runtime.lastError);
                 } else {
                     console.log(`[Universal Dark Mode] Inserted CSS on tab ${tabId}`);
+                    if (tabUrl) sendThemeFilters(tabId, tabUrl);
                 }
             });
-        } else if (!isEnabled && hasClass) {
+        } else if (!isEnabled) {
+            // The class is already gone by now, so the stylesheet is removed regardless
             browserAPI.scripting.removeCSS({
                 target: { tabId: tabId },
                 files: ['dark-theme.css'],
@@ -43,7 +155,7 @@ function toggleTheme(tabId, isEnabled) {
                 }
             });
         } else {
-            console.log(`[Universal Dark Mode] universal-dark-mode class not present, skipping CSS injection/removal.`);
+            console.log(`[Universal Dark Mode] universal-dark-mode class not present, skipping CSS injection.`);
         }
     });
 }
@@ -57,7 +169,7 @@ function applyThemeToAllTabs() {
             for (const tab of tabs) {
                 // Only apply to http and https tabs
                 if (tab.url && (tab.url.startsWith('http') || tab.url.startsWith('https'))) {
-                    toggleTheme(tab.id, isEnabled);
+                    toggleTheme(tab.id, isEnabled, tab.url);
                 }
             }
         });
@@ -67,7 +179,7 @@ function applyThemeToAllTabs() {
 // Listener for when the user clicks the toggle in the popup
 browserAPI.storage.onChanged.addListener((changes, namespace) => {
     console.debug('[Background] browserAPI.storage.onChanged:', changes, namespace);
-    if (namespace === 'sync' && changes.darkModeEnabled) {
+    if (namespace === 'sync' && (changes.darkModeEnabled || changes.siteRules)) {
         applyThemeToAllTabs();
     }
 });
@@ -77,14 +189,42 @@ browserAPI.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     console.debug('[Background] browserAPI.tabs.onUpdated:', { tabId, changeInfo, tab });
     // Ensure the page is fully loaded before trying to inject CSS
     if (changeInfo.status === 'complete' && tab.url && (tab.url.startsWith('http') || tab.url.startsWith('https'))) {
-        browserAPI.storage.sync.get(['darkModeEnabled'], (result) => {
-            if (result.darkModeEnabled) {
-                toggleTheme(tabId, true);
+        browserAPI.storage.sync.get(['darkModeEnabled', 'siteRules'], (result) => {
+            // Only inject on load; a freshly loaded page has no theme CSS to remove
+            if (resolveSiteThemeState(tab.url, result.darkModeEnabled, result.siteRules)) {
+                toggleTheme(tabId, !!result.darkModeEnabled, tab.url);
             }
         });
     }
 });
 
+// Keyboard commands (declared under "commands" in manifest.json) for the active tab's patch history
+const PATCH_HISTORY_COMMANDS = {
+    'undo-dark-mode-fix': 'UNDO_PATCH',
+    'redo-dark-mode-fix': 'REDO_PATCH'
+};
+
+if (browserAPI.commands && browserAPI.commands.onCommand) {
+    browserAPI.commands.onCommand.addListener((command) => {
+        console.debug('[Background] browserAPI.commands.onCommand:', command);
+        const messageType = PATCH_HISTORY_COMMANDS[command];
+        if (!messageType) return;
+
+        browserAPI.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            const tab = tabs && tabs[0];
+            if (!tab || !tab.url || !tab.url.startsWith('http')) return;
+
+            browserAPI.tabs.sendMessage(tab.id, { type: messageType }, (response) => {
+                if (browserAPI.runtime.lastError) {
+                    console.debug('[Background] Could not send', messageType, 'to tab', tab.id, ':', browserAPI.runtime.lastError.message);
+                } else {
+                    console.debug('[Background]', messageType, 'result:', response);
+                }
+            });
+        });
+    });
+}
+
 // Enhanced message handler for real-time dark mode features
 browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.debug('[Background] Enhanced message received:', message);
@@ -110,7 +250,7 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     
     if (message.type === 'AUTO_FIX_DARK_MODE') {
-        handleAutoFixDarkMode(message, sendResponse);
+        handleAutoFixDarkMode(message, sender, sendResponse);
         return true;
     }
     
@@ -129,15 +269,416 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
     
+    if (message.type === 'TRACK_FIX_SUCCESS') {
+        handleTrackFixSuccess(message, sendResponse);
+        return true;
+    }
+    
     if (message.type === 'ANALYZE_PAGE_FOR_CHAT') {
         handlePageAnalysisForChat(message, sendResponse);
         return true;
     }
     
+    if (message.type === 'GET_SITE_RULE') {
+        handleGetSiteRule(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'SET_SITE_RULE') {
+        handleSetSiteRule(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'SET_NATIVE_DARK_MODE') {
+        handleSetNativeDarkMode(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'REFRESH_TAB_THEME') {
+        // A page switched from the site's own dark mode to ours and needs dark-theme.css
+        if (!sender.tab) {
+            sendResponse({ success: false, error: 'Only tabs can request their theme' });
+            return false;
+        }
+        browserAPI.storage.sync.get(['darkModeEnabled'], (result) => {
+            toggleTheme(sender.tab.id, !!result.darkModeEnabled, sender.tab.url);
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+    
+    if (message.type === 'SET_CONTENT_SHARING') {
+        handleSetContentSharing(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'GET_THEME_PALETTE') {
+        handleGetThemePalette(sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'SET_THEME_PALETTE') {
+        handleSetThemePalette(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'GET_THEME_FILTERS') {
+        handleGetThemeFilters(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'SET_THEME_FILTERS') {
+        handleSetThemeFilters(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'CLASSIFY_MEDIA') {
+        handleClassifyMedia(message, sender, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'ENABLE_ACCURACY_FOCUS') {
+        handleSetLearningMode('accuracyFocus', { enabled: message.enabled !== false, mode: message.mode || 'high_priority' }, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'ENABLE_ENHANCED_LEARNING') {
+        handleSetLearningMode('enhancedLearning', { enabled: message.enabled !== false, aggressiveness: message.aggressiveness || 'high' }, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'GET_LEARNING_MODES') {
+        getLearningModes().then(modes => sendResponse({ success: true, modes }));
+        return true;
+    }
+    
+    if (message.type === 'LEARNING_STORE') {
+        // Requests from tabs carry the page's origin, so migrated page data is treated as untrusted
+        Promise.resolve()
+            .then(() => learningStore.handleMessage(message, { origin: sender.tab ? senderOrigin(sender) : null }))
+            .then(result => sendResponse({ success: true, result }))
+            .catch(error => {
+                console.error('[Background] Learning store request failed:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+        return true;
+    }
+    
+    if (message.type === 'EXPORT_LEARNING_DATA') {
+        handleExportLearningData(message, sendResponse);
+        return true;
+    }
+    
+    if (message.type === 'IMPORT_LEARNING_DATA') {
+        handleImportLearningData(message, sendResponse);
+        return true;
+    }
+    
     console.debug('[Background] Unhandled message type:', message.type);
     return false; // Let other handlers process the message
 });
 
+// Return the rule and effective theme state for the origin of message.url
+function handleGetSiteRule(message, sendResponse) {
+    const origin = getSiteOrigin(message.url);
+    if (!origin) {
+        sendResponse({ success: false, error: 'Site rules only apply to http(s) pages' });
+        return;
+    }
+    
+    browserAPI.storage.sync.get(['darkModeEnabled', 'siteRules', 'contentSharingRules', NativeDarkMode.STORAGE_KEY], (result) => {
+        const siteRules = result.siteRules || {};
+        sendResponse({
+            success: true,
+            origin: origin,
+            rule: siteRules[origin] || SITE_RULE_FOLLOW_GLOBAL,
+            effectiveEnabled: resolveSiteThemeState(message.url, result.darkModeEnabled, siteRules),
+            neverSendContent: (result.contentSharingRules || {})[origin] === CONTENT_SHARING_NEVER,
+            preferNativeDarkMode: (result[NativeDarkMode.STORAGE_KEY] || {})[origin] !== NativeDarkMode.RULE_USE_EXTENSION
+        });
+    });
+}
+
+// Stored palette settings ({ preset, custom }) and the colors they resolve to
+function handleGetThemePalette(sendResponse) {
+    browserAPI.storage.sync.get([ThemePalette.STORAGE_KEY], (result) => {
+        const settings = ThemePalette.normalizeSettings(result[ThemePalette.STORAGE_KEY]);
+        sendResponse({ success: true, settings, colors: ThemePalette.resolve(settings) });
+    });
+}
+
+// Save palette settings; content scripts pick them up from storage.onChanged
+function handleSetThemePalette(message, sendResponse) {
+    const settings = ThemePalette.normalizeSettings(message.settings);
+    browserAPI.storage.sync.set({ [ThemePalette.STORAGE_KEY]: settings }, () => {
+        if (browserAPI.runtime.lastError) {
+            console.error('[Background] Failed to save theme palette:', browserAPI.runtime.lastError);
+            sendResponse({ success: false, error: browserAPI.runtime.lastError.message });
+            return;
+        }
+        console.debug('[Background] Theme palette saved:', settings);
+        sendResponse({ success: true, settings, colors: ThemePalette.resolve(settings) });
+    });
+}
+
+// Global filters, the override for the origin of message.url (null if none) and the values in effect
+function handleGetThemeFilters(message, sendResponse) {
+    const origin = getSiteOrigin(message.url);
+    browserAPI.storage.sync.get([ThemeFilters.STORAGE_KEY], (result) => {
+        const settings = ThemeFilters.normalizeSettings(result[ThemeFilters.STORAGE_KEY]);
+        sendResponse({
+            success: true,
+            origin,
+            global: settings.global,
+            site: (origin && settings.sites[origin]) || null,
+            filters: ThemeFilters.resolve(settings, origin)
+        });
+    });
+}
+
+// Save filters for every site (scope 'global') or only the origin of message.url (scope 'site';
+// null filters drop the site's override), then apply them live to the open tabs they affect
+function handleSetThemeFilters(message, sendResponse) {
+    const origin = getSiteOrigin(message.url);
+    if (!['global', 'site'].includes(message.scope) || (message.scope === 'site' && !origin)) {
+        sendResponse({ success: false, error: 'Invalid theme filter request' });
+        return;
+    }
+    
+    browserAPI.storage.sync.get([ThemeFilters.STORAGE_KEY], (result) => {
+        const settings = ThemeFilters.normalizeSettings(result[ThemeFilters.STORAGE_KEY]);
+        if (message.scope === 'global') {
+            settings.global = ThemeFilters.normalize(message.filters);
+        } else if (message.filters) {
+            settings.sites[origin] = ThemeFilters.normalize(message.filters);
+        } else {
+            delete settings.sites[origin];
+        }
+        
+        browserAPI.storage.sync.set({ [ThemeFilters.STORAGE_KEY]: settings }, () => {
+            if (browserAPI.runtime.lastError) {
+                console.error('[Background] Failed to save theme filters:', browserAPI.runtime.lastError);
+                sendResponse({ success: false, error: browserAPI.runtime.lastError.message });
+                return;
+            }
+            console.debug('[Background] Theme filters saved:', message.scope, origin, settings);
+            browserAPI.tabs.query({}, (tabs) => {
+                for (const tab of tabs) {
+                    const tabOrigin = tab.url && getSiteOrigin(tab.url);
+                    if (tabOrigin && (message.scope === 'global' || tabOrigin === origin)) {
+                        sendThemeFilters(tab.id, tab.url, settings);
+                    }
+                }
+            });
+            sendResponse({
+                success: true,
+                origin,
+                global: settings.global,
+                site: (origin && settings.sites[origin]) || null,
+                filters: ThemeFilters.resolve(settings, origin)
+            });
+        });
+    });
+}
+
+// Images the page cannot read (tainted canvas) are fetched without cookies and sampled here for
+// media-analyzer.js; nothing is sent to the proxy. Only tabs may ask, private-network hosts are
+// only fetched for tabs on a private host themselves, responses must be images no larger than
+// MEDIA_FETCH_MAX_BYTES, and at most MEDIA_FETCH_CONCURRENCY fetches run at once. Anything
+// else stays 'unknown' on the page and is left alone.
+const MEDIA_FETCH_MAX_BYTES = 1024 * 1024;
+const MEDIA_FETCH_CONCURRENCY = 2;
+const MEDIA_FETCH_MAX_QUEUED = 50;
+const mediaFetchQueue = [];
+let mediaFetchesRunning = 0;
+
+// Loopback, link-local and private addresses and local-only host names
+function isPrivateHost(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || /\.(localhost|local|internal|lan|home\.arpa)$/.test(host) || (!host.includes('.') && !host.includes(':'))) {
+        return true;
+    }
+    const ipv4 = host.match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+    if (ipv4) {
+        const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+        return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+    }
+    return host === '::1' || /^(fc|fd|fe80)/.test(host) || host.startsWith('::ffff:');
+}
+
+function runMediaFetch(task) {
+    return new Promise((resolve, reject) => {
+        if (mediaFetchQueue.length >= MEDIA_FETCH_MAX_QUEUED) {
+            reject(new Error('Too many images waiting to be classified'));
+            return;
+        }
+        mediaFetchQueue.push({ task, resolve, reject });
+        drainMediaFetchQueue();
+    });
+}
+
+function drainMediaFetchQueue() {
+    while (mediaFetchesRunning < MEDIA_FETCH_CONCURRENCY && mediaFetchQueue.length > 0) {
+        const { task, resolve, reject } = mediaFetchQueue.shift();
+        mediaFetchesRunning++;
+        task().then(resolve, reject).finally(() => {
+            mediaFetchesRunning--;
+            drainMediaFetchQueue();
+        });
+    }
+}
+
+// Image body as a Blob, or an error for non-images and bodies above MEDIA_FETCH_MAX_BYTES
+async function fetchImageBlob(url) {
+    const response = await fetch(url, { credentials: 'omit', redirect: 'error' });
+    if (!response.ok) {
+        throw new Error(`Image request failed: ${response.status}`);
+    }
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!/^image\//i.test(contentType)) {
+        throw new Error(`Not an image: ${contentType || 'no content type'}`);
+    }
+    if (Number(response.headers.get('Content-Length')) > MEDIA_FETCH_MAX_BYTES) {
+        throw new Error('Image too large');
+    }
+    // The length header may be missing or wrong, so the body is counted as it arrives
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.byteLength;
+        if (received > MEDIA_FETCH_MAX_BYTES) {
+            reader.cancel();
+            throw new Error('Image too large');
+        }
+        chunks.push(value);
+    }
+    return new Blob(chunks, { type: contentType });
+}
+
+async function handleClassifyMedia(message, sender, sendResponse) {
+    if (!sender.tab) {
+        sendResponse({ success: false, error: 'Only tabs can classify images' });
+        return;
+    }
+    if (!getSiteOrigin(message.url)) {
+        sendResponse({ success: false, error: 'Only http(s) images can be classified' });
+        return;
+    }
+    const imageHost = new URL(message.url).hostname;
+    const tabOrigin = getSiteOrigin(sender.url || sender.tab.url);
+    if (isPrivateHost(imageHost) && !(tabOrigin && isPrivateHost(new URL(tabOrigin).hostname))) {
+        sendResponse({ success: false, error: 'Images on private network hosts are not fetched' });
+        return;
+    }
+    
+    try {
+        const kind = await runMediaFetch(async () => {
+            const bitmap = await createImageBitmap(await fetchImageBlob(message.url));
+            const pixels = MediaAnalyzer.readPixels(bitmap, bitmap.width, bitmap.height, (width, height) => new OffscreenCanvas(width, height));
+            bitmap.close();
+            return MediaAnalyzer.classifyPixels(pixels);
+        });
+        sendResponse({ success: true, kind });
+    } catch (error) {
+        console.debug('[Background] Could not classify image:', message.url, error.message);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Turn "never send this site's content" on or off for the origin of message.url
+function handleSetContentSharing(message, sendResponse) {
+    const origin = getSiteOrigin(message.url);
+    if (!origin) {
+        sendResponse({ success: false, error: 'Content sharing rules only apply to http(s) pages' });
+        return;
+    }
+    
+    browserAPI.storage.sync.get(['contentSharingRules'], (result) => {
+        const contentSharingRules = result.contentSharingRules || {};
+        if (message.neverSend) {
+            contentSharingRules[origin] = CONTENT_SHARING_NEVER;
+        } else {
+            delete contentSharingRules[origin];
+        }
+        
+        browserAPI.storage.sync.set({ contentSharingRules }, () => {
+            if (browserAPI.runtime.lastError) {
+                console.error('[Background] Failed to save content sharing rule:', browserAPI.runtime.lastError);
+                sendResponse({ success: false, error: browserAPI.runtime.lastError.message });
+                return;
+            }
+            console.debug('[Background] Content sharing rule saved:', origin, !!message.neverSend);
+            sendResponse({ success: true, origin, neverSendContent: !!message.neverSend });
+        });
+    });
+}
+
+// Use the site's own dark mode (message.preferNative) or always ours for the origin of message.url.
+// Stored in storage.sync `nativeDarkModeRules`; the content scripts follow it through storage.onChanged.
+function handleSetNativeDarkMode(message, sendResponse) {
+    const origin = getSiteOrigin(message.url);
+    if (!origin) {
+        sendResponse({ success: false, error: 'Native dark mode rules only apply to http(s) pages' });
+        return;
+    }
+    
+    browserAPI.storage.sync.get([NativeDarkMode.STORAGE_KEY], (result) => {
+        const rules = result[NativeDarkMode.STORAGE_KEY] || {};
+        if (message.preferNative) {
+            delete rules[origin];
+        } else {
+            rules[origin] = NativeDarkMode.RULE_USE_EXTENSION;
+        }
+        
+        browserAPI.storage.sync.set({ [NativeDarkMode.STORAGE_KEY]: rules }, () => {
+            if (browserAPI.runtime.lastError) {
+                console.error('[Background] Failed to save native dark mode rule:', browserAPI.runtime.lastError);
+                sendResponse({ success: false, error: browserAPI.runtime.lastError.message });
+                return;
+            }
+            console.debug('[Background] Native dark mode rule saved:', origin, !!message.preferNative);
+            sendResponse({ success: true, origin, preferNativeDarkMode: !!message.preferNative });
+        });
+    });
+}
+
+// Store (or clear) the rule for the origin of message.url; storage.onChanged re-applies the theme
+function handleSetSiteRule(message, sendResponse) {
+    const origin = getSiteOrigin(message.url);
+    const validRules = [SITE_RULE_ALWAYS_ON, SITE_RULE_ALWAYS_OFF, SITE_RULE_FOLLOW_GLOBAL];
+    if (!origin || !validRules.includes(message.rule)) {
+        sendResponse({ success: false, error: 'Invalid site rule request' });
+        return;
+    }
+    
+    browserAPI.storage.sync.get(['darkModeEnabled', 'siteRules'], (result) => {
+        const siteRules = result.siteRules || {};
+        if (message.rule === SITE_RULE_FOLLOW_GLOBAL) {
+            delete siteRules[origin];
+        } else {
+            siteRules[origin] = message.rule;
+        }
+        
+        browserAPI.storage.sync.set({ siteRules }, () => {
+            if (browserAPI.runtime.lastError) {
+                console.error('[Background] Failed to save site rule:', browserAPI.runtime.lastError);
+                sendResponse({ success: false, error: browserAPI.runtime.lastError.message });
+                return;
+            }
+            console.debug('[Background] Site rule saved:', origin, message.rule);
+            sendResponse({
+                success: true,
+                origin: origin,
+                rule: message.rule,
+                effectiveEnabled: resolveSiteThemeState(message.url, result.darkModeEnabled, siteRules)
+            });
+        });
+    });
+}
+
 // Handle page analysis requests
 async function handlePageAnalysis(message, sendResponse) {
     console.debug('[Background] Analyzing page for dark mode issues:', message);
@@ -164,24 +705,104 @@ async function handlePageAnalysis(message, sendResponse) {
     }
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Score of a verdict record on a 0..1 scale, or null if it is not a user verdict
+// (darkmode_fix_tracking has successScore; darkmode_success has userRating, where 'applied' is not a verdict)
+function verdictScore(record) {
+    if (typeof record.successScore === 'number') return record.successScore;
+    const scores = { up: 1, neutral: 0.5, down: 0 };
+    return record.userRating in scores ? scores[record.userRating] : null;
+}
+
+function domainOf(url) {
+    try {
+        return url ? new URL(url).hostname : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function averageScore(outcomes) {
+    return outcomes.length > 0 ? outcomes.reduce((sum, o) => sum + o.score, 0) / outcomes.length : null;
+}
+
+// Analytics over every learning store (learning-store.js)
+async function computeFeedbackAnalytics(now = Date.now()) {
+    const {
+        darkmode_feedback: feedback,
+        darkmode_success: success,
+        darkmode_fix_tracking: fixTracking,
+        fixRatings: ratings,
+        fixResolutions: resolutions
+    } = await learningStore.get(['darkmode_feedback', 'darkmode_success', 'darkmode_fix_tracking', 'fixRatings', 'fixResolutions']);
+    
+    const outcomes = fixTracking.concat(success)
+        .map(record => ({ timestamp: record.timestamp || 0, score: verdictScore(record) }))
+        .filter(outcome => outcome.score !== null);
+    
+    // Weekly accuracy for the last 8 weeks (oldest first); the trend compares the last two weeks
+    const accuracyHistory = [];
+    for (let week = 7; week >= 0; week--) {
+        const end = now - week * WEEK_MS;
+        const inWeek = outcomes.filter(o => o.timestamp > end - WEEK_MS && o.timestamp <= end);
+        accuracyHistory.push({ weekEnding: end, ratings: inWeek.length, accuracy: averageScore(inWeek) });
+    }
+    const [previousWeek, currentWeek] = accuracyHistory.slice(-2);
+    const accuracyTrend = previousWeek.accuracy !== null && currentWeek.accuracy !== null
+        ? Math.round((currentWeek.accuracy - previousWeek.accuracy) * 1000) / 10
+        : null;
+    
+    // Element fixes resolved without calling the LLM (local or server patterns)
+    const resolutionCounts = {};
+    resolutions.forEach(r => { resolutionCounts[r.source] = (resolutionCounts[r.source] || 0) + 1; });
+    const autoFixRate = resolutions.length > 0
+        ? resolutions.filter(r => r.source !== 'llm').length / resolutions.length
+        : null;
+    
+    const recentFixes = resolutions.filter(r => r.timestamp > now - WEEK_MS).length;
+    const domains = new Set(feedback.concat(fixTracking, ratings, resolutions)
+        .map(record => domainOf(record.url))
+        .filter(Boolean));
+    
+    const issueCounts = {};
+    fixTracking.forEach(record => (record.issues || []).forEach(issue => {
+        issueCounts[issue] = (issueCounts[issue] || 0) + 1;
+    }));
+    
+    const accuracy = averageScore(outcomes);
+    return {
+        totalFeedback: feedback.length,
+        ratedFixes: outcomes.length,
+        successRate: outcomes.length > 0 ? outcomes.filter(o => o.score > 0.5).length / outcomes.length : null,
+        averageRating: accuracy,
+        accuracy,
+        accuracyTrend,
+        accuracyHistory,
+        learningSpeed: Math.round(recentFixes / 7 * 10) / 10,
+        siteCoverage: domains.size,
+        autoFixRate,
+        resolutionCounts,
+        // Half from how much has been rated (50 verdicts = full), half from fixes made without the LLM
+        overallProgress: Math.round(100 * (0.5 * Math.min(outcomes.length / 50, 1) + 0.5 * (autoFixRate || 0))),
+        topIssues: Object.entries(issueCounts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([issue, count]) => ({ issue, count })),
+        lastUpdate: now
+    };
+}
+
 // Handle feedback analytics requests
 async function handleGetFeedbackAnalytics(message, sendResponse) {
     console.debug('[Background] Getting feedback analytics');
     
     try {
-        // Mock analytics data - in a real implementation, this would fetch from storage
-        const mockAnalytics = {
+        sendResponse({
             success: true,
-            analytics: {
-                totalFeedback: 0,
-                successRate: 0,
-                averageRating: 0,
-                topIssues: [],
-                lastUpdate: Date.now()
-            }
-        };
-        
-        sendResponse(mockAnalytics);
+            analytics: await computeFeedbackAnalytics()
+        });
     } catch (error) {
         console.error('[Background] Analytics error:', error);
         sendResponse({
@@ -191,25 +812,173 @@ async function handleGetFeedbackAnalytics(message, sendResponse) {
     }
 }
 
+// Dashboard learning modes, kept in storage.local so content scripts can react to changes:
+// - accuracyFocus: fixes below ACCURACY_FOCUS_MIN_CONFIDENCE must be verified by the user
+// - enhancedLearning: content.js records extra feature data with every element fix
+const LEARNING_MODES_KEY = 'learningModes';
+const ACCURACY_FOCUS_MIN_CONFIDENCE = 0.85;
+
+async function getLearningModes() {
+    const stored = await browserAPI.storage.local.get([LEARNING_MODES_KEY]);
+    return {
+        accuracyFocus: { enabled: false },
+        enhancedLearning: { enabled: false },
+        ...(stored[LEARNING_MODES_KEY] || {})
+    };
+}
+
+async function handleSetLearningMode(name, settings, sendResponse) {
+    try {
+        const modes = await getLearningModes();
+        modes[name] = { ...settings, since: settings.enabled ? Date.now() : null };
+        await browserAPI.storage.local.set({ [LEARNING_MODES_KEY]: modes });
+        console.info(`[Background] Learning mode ${name} ${settings.enabled ? 'enabled' : 'disabled'}`);
+        sendResponse({ success: true, modes });
+    } catch (error) {
+        console.error('[Background] Failed to set learning mode:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Bundle every learning store into one versioned JSON document
+async function handleExportLearningData(message, sendResponse) {
+    try {
+        const stored = await learningStore.get([
+            'darkmode_feedback', 'darkmode_success', 'darkmode_patterns', 'darkmode_menu_model',
+            'darkmode_fix_tracking', 'fixRatings', 'fixResolutions'
+        ]);
+        const settings = await browserAPI.storage.local.get([LEARNING_MODES_KEY, 'darkmode_patch_library']);
+        
+        sendResponse({
+            success: true,
+            data: {
+                format: LearningBundle.FORMAT,
+                version: LearningBundle.VERSION,
+                exportedAt: new Date().toISOString(),
+                extensionVersion: browserAPI.runtime.getManifest().version,
+                stores: {
+                    feedback: stored.darkmode_feedback,
+                    success: stored.darkmode_success,
+                    patterns: stored.darkmode_patterns,
+                    menuModel: stored.darkmode_menu_model,
+                    fixTracking: stored.darkmode_fix_tracking,
+                    fixRatings: stored.fixRatings,
+                    fixResolutions: stored.fixResolutions,
+                    patchLibrary: settings.darkmode_patch_library || {},
+                    learningModes: settings[LEARNING_MODES_KEY] || {}
+                }
+            }
+        });
+    } catch (error) {
+        console.error('[Background] Learning data export failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Bundle store names -> learning store keys for the stores an import merges
+const LEARNING_BUNDLE_STORES = {
+    feedback: 'darkmode_feedback',
+    success: 'darkmode_success',
+    fixTracking: 'darkmode_fix_tracking',
+    fixRatings: 'fixRatings',
+    fixResolutions: 'fixResolutions'
+};
+
+// Merge a learning bundle into this machine's stores (merge rules in learning-bundle.js).
+// Patterns are not imported: ai-learning.js rebuilds them from the merged feedback.
+// Learning modes are per machine and are not imported either.
+async function handleImportLearningData(message, sendResponse) {
+    try {
+        const { stores } = LearningBundle.validate(message.bundle);
+        const summary = {};
+        
+        for (const [bundleName, storeName] of Object.entries(LEARNING_BUNDLE_STORES)) {
+            summary[bundleName] = await learningStore.merge(storeName, stores[bundleName]);
+        }
+        if (stores.menuModel) {
+            // The menu classifier is trained per machine; an imported one only fills a gap
+            summary.menuModel = await learningStore.setIfEmpty('darkmode_menu_model', stores.menuModel);
+        }
+        summary.patchLibrary = await new PatchLibrary().importLibrary(stores.patchLibrary);
+        
+        console.info('[Background] Learning data imported:', summary);
+        sendResponse({ success: true, summary });
+    } catch (error) {
+        console.error('[Background] Learning data import failed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// Domains count as fully specialized after this many recorded issues (as in ai-learning.js)
+const DOMAIN_SPECIALIZATION_ISSUES = 10;
+
+// Dashboard view of the proxy's /api/analyze-patterns result
+function summarizeServerPatterns(patterns) {
+    if (!patterns) {
+        return { totalFeedback: 0, positiveRatings: 0, learningConfidence: null, specializedDomains: 0, topCSSRules: [], problematicElements: [], topDomains: [] };
+    }
+    const ratedPatches = Object.values(patterns.ratedPatches || {}).filter(p => p.ratedAttempts > 0);
+    const topDomains = Object.entries(patterns.domainSpecificPatterns || {})
+        .map(([name, domain]) => ({
+            name,
+            issues: domain.issues.length,
+            specialization: Math.min(domain.issues.length / DOMAIN_SPECIALIZATION_ISSUES, 1)
+        }))
+        .sort((a, b) => b.issues - a.issues);
+    
+    return {
+        totalFeedback: Object.values(patterns.temporalTrends || {}).reduce((sum, month) => sum + month.count, 0),
+        positiveRatings: ratedPatches.reduce((sum, p) => sum + p.ratings.positive, 0),
+        learningConfidence: ratedPatches.length > 0
+            ? ratedPatches.reduce((sum, p) => sum + p.effectiveness, 0) / ratedPatches.length
+            : null,
+        specializedDomains: topDomains.filter(d => d.specialization >= 0.5).length,
+        topCSSRules: Object.entries(patterns.successfulCSSRules || {})
+            .filter(([, rule]) => rule.ratedAttempts > 0)
+            .sort((a, b) => b[1].effectiveness - a[1].effectiveness || b[1].ratedAttempts - a[1].ratedAttempts)
+            .slice(0, 3)
+            .map(([rule, stats]) => ({ selector: rule.split('{')[0].trim(), effectiveness: stats.effectiveness, ratings: stats.ratedAttempts })),
+        problematicElements: Object.entries(patterns.elementTypeEffectiveness || {})
+            .sort((a, b) => b[1].totalAttempts - a[1].totalAttempts)
+            .slice(0, 3)
+            .map(([tag, stats]) => ({ tag: tag.toLowerCase(), frequency: stats.totalAttempts, fixRate: stats.ratedAttempts > 0 ? stats.effectivenessRatio : null })),
+        topDomains: topDomains.slice(0, 3)
+    };
+}
+
 // Handle AI learning analytics requests
 async function handleGetAILearningAnalytics(message, sendResponse) {
     console.debug('[Background] Getting AI learning analytics');
     
     try {
-        // Mock learning data - in a real implementation, this would fetch from storage
-        const mockLearningData = {
+        const { fixRatings } = await learningStore.get(['fixRatings']);
+        const recentPatches = fixRatings.slice(-5).reverse().map(rating => ({
+            verdict: rating.verdict,
+            url: rating.url,
+            source: rating.source,
+            timestamp: rating.timestamp
+        }));
+        
+        // Pattern analysis across all installs from the proxy; unavailable offline
+        let serverPatterns = null;
+        try {
+            const response = await fetchFromProxy('/api/analyze-patterns', { method: 'POST' });
+            if (response.ok) {
+                serverPatterns = (await response.json()).patterns;
+            }
+        } catch (error) {
+            console.debug('[Background] Server pattern analysis unavailable:', error.message);
+        }
+        
+        sendResponse({
             success: true,
+            serverAvailable: !!serverPatterns,
             learningData: {
-                totalFeedback: 0,
-                positiveRatings: 0,
-                learningConfidence: 0,
-                specializedDomains: 0,
-                recentPatches: [],
+                ...summarizeServerPatterns(serverPatterns),
+                recentPatches,
                 lastUpdate: Date.now()
             }
-        };
-        
-        sendResponse(mockLearningData);
+        });
     } catch (error) {
         console.error('[Background] Learning analytics error:', error);
         sendResponse({
@@ -220,7 +989,7 @@ async function handleGetAILearningAnalytics(message, sendResponse) {
 }
 
 // Auto-fix dark mode issues using Gemini
-async function handleAutoFixDarkMode(message, sendResponse) {
+async function handleAutoFixDarkMode(message, sender, sendResponse) {
     console.debug('[Background] Auto-fixing dark mode issues:', message.issues);
     
     try {
@@ -229,20 +998,28 @@ async function handleAutoFixDarkMode(message, sendResponse) {
             return `Element: ${issue.tag} with classes [${issue.classes.join(', ')}] has problems: ${issue.problems.join(', ')}. Current styles: ${JSON.stringify(issue.styles)}`;
         }).join('\n');
         
+        const paletteGuidance = ThemePalette.describeForPrompt(await getActivePalette());
         const prompt = `You are an expert at fixing dark mode CSS issues in real-time. 
         
 Here are the specific issues found on this webpage:
 ${issueDescriptions}
 
 Please generate CSS that will fix these issues. Focus on:
-1. Making transparent menu backgrounds solid dark colors (#222 or similar)
+1. Making transparent menu backgrounds solid, using var(--udm-surface)
 2. Ensuring good contrast between text and backgrounds  
 3. Converting white backgrounds to dark equivalents
 4. Making hidden content visible in dark mode
 
+${paletteGuidance}
+
 Return ONLY valid CSS rules that can be injected directly. Use !important when necessary to override existing styles.`;
 
-        const cssPatch = await callGeminiAPI(prompt);
+        const tab = sender && sender.tab;
+        const cssPatch = await callGeminiAPI(prompt, false, {
+            url: message.url || (tab && tab.url),
+            title: message.title || (tab && tab.title),
+            detectedIssues: message.issues.flatMap(issue => issue.problems || [])
+        });
         
         if (cssPatch) {
             sendResponse({ 
@@ -256,16 +1033,16 @@ Return ONLY valid CSS rules that can be injected directly. Use !important when n
         
     } catch (error) {
         console.error('[Background] Auto-fix error:', error);
-        sendResponse({ success: false, error: error.message });
+        sendResponse({ success: false, error: error.message, rateLimited: !!error.rateLimited, retryAfter: error.retryAfter });
     }
 }
 
 // Analyze and fix specific element
 async function handleAnalyzeAndFixElement(message, sendResponse) {
-    console.debug('[Background] Analyzing and fixing element:', message.elementData);
-    
     try {
-        const element = message.elementData;
+        // Everything below (prompt, pattern lookups, stored resolution) uses the redacted payload
+        const element = await redactForProxy(message.elementData);
+        console.debug('[Background] Analyzing and fixing element:', element);
         
         // Create a comprehensive prompt with all the element data
         const detectedIssuesText = element.detectedIssues && element.detectedIssues.length > 0 
@@ -280,6 +1057,8 @@ async function handleAnalyzeAndFixElement(message, sendResponse) {
         const parentContext = element.parentContext 
             ? `Parent element: ${element.parentContext.tag} with classes [${element.parentContext.classes.join(', ')}]`
             : 'No parent context available';
+        
+        const paletteGuidance = ThemePalette.describeForPrompt(await getActivePalette());
             
         const prompt = `You are an expert CSS developer specializing in automatic dark mode fixes. A user has selected an element that needs dark mode conversion. You must analyze the element and automatically generate CSS fixes.
 
@@ -302,12 +1081,15 @@ ${element.automated ? '- Automated analysis requested - apply fixes immediately'
 - User Description: ${element.description}
 - Page URL: ${element.url}
 
+**USER'S DARK PALETTE:**
+${paletteGuidance}
+
 **COMMON DARK MODE ISSUES TO FIX:**
-1. **Light Backgrounds**: Convert white/light backgrounds to dark (#222, #333, #2a2a2a)
-2. **Text Contrast**: Ensure text is visible on dark backgrounds (white, #e4e6eb, #f5f6fa)  
+1. **Light Backgrounds**: Convert white/light backgrounds to dark (var(--udm-background), var(--udm-surface), var(--udm-surface-elevated))
+2. **Text Contrast**: Ensure text is visible on dark backgrounds (var(--udm-text), var(--udm-text-muted))  
 3. **Transparent Menus**: Add solid dark backgrounds to transparent navigation/menus
 4. **Stretched Canvas**: Fix canvas elements that expand beyond containers
-5. **Border Colors**: Convert light borders to darker equivalents (#444, #555)
+5. **Border Colors**: Convert light borders to darker equivalents (var(--udm-border))
 6. **Box Shadows**: Adjust shadows for dark themes (lighter shadows, different colors)
 7. **Interactive States**: Fix hover/focus states for dark mode
 
@@ -339,9 +1121,9 @@ ${element.elementType === 'container' ? '- Dark container background\n- Constrai
 **EXAMPLE CSS STRUCTURE:**
 /* Main element fix */
 ${element.tag}${element.classes.map(c => `.${c}`).join('')} {
-    background-color: #222 !important;
-    color: #e4e6eb !important;
-    border-color: #444 !important;
+    background-color: ${ThemePalette.cssVar('surface')} !important;
+    color: ${ThemePalette.cssVar('text')} !important;
+    border-color: ${ThemePalette.cssVar('border')} !important;
 }
 
 /* Child elements */
@@ -351,21 +1133,48 @@ ${element.tag}${element.classes.map(c => `.${c}`).join('')} * {
 
 /* Interactive states */
 ${element.tag}${element.classes.map(c => `.${c}`).join('')}:hover {
-    background-color: #333 !important;
+    background-color: ${ThemePalette.cssVar('surfaceElevated')} !important;
 }
 
 Generate the complete CSS now:`;
 
-        console.debug('[Background] Sending enhanced automatic prompt to Gemini:', prompt.substring(0, 500) + '...');
-
-        console.debug('[Background] Sending comprehensive prompt to Gemini:', prompt.substring(0, 500) + '...');
+        // Tiered resolution: a learned pattern on this device, then the proxy's pattern history, then the LLM
+        let resolution = await resolveFromLocalPatterns(message.tabId, element) ||
+            await resolveFromServerPatterns(element);
+        let cssPatch = resolution && resolution.css;
+        
+        if (!cssPatch) {
+            console.debug('[Background] Sending comprehensive prompt to Gemini:', prompt.substring(0, 500) + '...');
+            cssPatch = await callGeminiAPI(prompt, false, {
+                url: element.url,
+                title: element.title,
+                elementType: element.elementType,
+                detectedIssues: element.detectedIssues,
+                tag: element.tag,
+                classes: element.classes,
+                xpath: element.xpath
+            });
+            resolution = {
+                source: 'llm',
+                confidence: null,
+                reasoning: ['No learned pattern was confident enough; generated by the AI model']
+            };
+        }
+        console.info(`[Background] Element fix resolved from ${resolution.source}`);
+        recordFixResolution(resolution.source, element.url);
+        const { css, ...resolutionInfo } = resolution;
         
-        const cssPatch = await callGeminiAPI(prompt);
+        // In accuracy focus mode, low-confidence fixes (and all LLM fixes) need the user's verdict
+        const { accuracyFocus } = await getLearningModes();
+        const needsVerification = !!accuracyFocus.enabled &&
+            (resolution.confidence === null || resolution.confidence < ACCURACY_FOCUS_MIN_CONFIDENCE);
         
         if (cssPatch && cssPatch.trim()) {
             const response = {
                 success: true,
                 cssPatch: cssPatch.trim(),
+                resolution: resolutionInfo,
+                needsVerification,
                 elementInfo: {
                     tag: element.tag,
                     type: element.elementType,
@@ -399,6 +1208,7 @@ Try providing more specific details about what looks wrong, or select a differen
             sendResponse({ 
                 success: true, 
                 message: fallbackMessage,
+                resolution: resolutionInfo,
                 analysis: {
                     detectedIssues: element.detectedIssues,
                     hasText: element.hasText,
@@ -412,18 +1222,93 @@ Try providing more specific details about what looks wrong, or select a differen
         sendResponse({ 
             success: false, 
             error: error.message,
-            message: `Failed to analyze element: ${error.message}. Please try again.`
+            message: error.rateLimited ? `⏳ ${error.message}` : `Failed to analyze element: ${error.message}. Please try again.`,
+            rateLimited: !!error.rateLimited,
+            retryAfter: error.retryAfter
+        });
+    }
+}
+
+// Which tier resolved each element fix, for the dashboard's auto-fix rate
+async function recordFixResolution(source, url) {
+    try {
+        await learningStore.append('fixResolutions', [{ source, url, timestamp: Date.now() }]);
+    } catch (error) {
+        console.debug('[Background] Could not record fix resolution:', error.message);
+    }
+}
+
+// Minimum confidence for a pattern-based fix to be used instead of asking the LLM
+const PATTERN_MIN_CONFIDENCE = 0.7;
+
+// Tier 1: patterns learned from feedback on this device (ai-learning.js in the tab's content script)
+async function resolveFromLocalPatterns(tabId, element) {
+    if (!tabId) return null;
+    try {
+        const response = await browserAPI.tabs.sendMessage(tabId, {
+            type: 'PREDICT_ELEMENT_FIX',
+            elementData: element
         });
+        const prediction = response && response.prediction;
+        if (!prediction || !prediction.css || prediction.confidence < PATTERN_MIN_CONFIDENCE) {
+            return null;
+        }
+        return {
+            source: prediction.source === 'domain_pattern' ? 'local_domain_pattern' : 'local_pattern',
+            css: prediction.css,
+            confidence: prediction.confidence,
+            reasoning: [`Learned on this device from ${prediction.basedOn}`]
+        };
+    } catch (error) {
+        console.debug('[Background] Local pattern lookup unavailable:', error.message);
+        return null;
+    }
+}
+
+// Tier 2: patterns from all feedback the proxy has seen (/api/smart-css-generation)
+async function resolveFromServerPatterns(element) {
+    try {
+        let domain = null;
+        try {
+            domain = element.url ? new URL(element.url).hostname : null;
+        } catch (e) {
+            // Not a URL; skip domain patterns
+        }
+        const response = await fetchFromProxy('/api/smart-css-generation', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                elementData: { tag: element.tag, classes: element.classes || [] },
+                pageContext: { domain, url: element.url }
+            })
+        });
+        if (!response.ok) {
+            console.debug(`[Background] Server pattern lookup failed: HTTP ${response.status}`);
+            return null;
+        }
+        const data = await response.json();
+        if (data.status !== 'ok' || !data.css || data.confidence < PATTERN_MIN_CONFIDENCE) {
+            return null;
+        }
+        return {
+            source: 'server_pattern',
+            css: data.css,
+            confidence: data.confidence,
+            reasoning: data.reasoning || []
+        };
+    } catch (error) {
+        console.debug('[Background] Server pattern lookup unavailable:', error.message);
+        return null;
     }
 }
 
 // Enhanced Gemini chat handler
 async function handleGeminiChat(message, sendResponse) {
-    console.debug('[Background] Handling Gemini chat:', message);
+    console.debug('[Background] Handling Gemini chat:', message.userMessage);
     
     try {
         const userMessage = message.userMessage;
-        const pageData = message.pageData;
+        const pageData = await redactForProxy(message.pageData);
         
         let contextInfo = '';
         if (pageData) {
@@ -446,13 +1331,19 @@ Please provide helpful advice and generate CSS fixes if needed. Be conversationa
 
 If you provide CSS, make sure it:
 1. Fixes the specific issues mentioned
-2. Uses appropriate dark colors (#222, #333, etc.)
+2. Uses the user's palette colors listed below
 3. Ensures good text contrast
 4. Uses !important when necessary to override existing styles
 
+${ThemePalette.describeForPrompt(await getActivePalette())}
+
 Respond in a friendly, helpful tone as if you're chatting with the user.`;
 
-        const response = await callGeminiAPI(prompt, true); // Request both message and CSS
+        const response = await callGeminiAPI(prompt, true, pageData ? { // Request both message and CSS
+            url: pageData.url,
+            title: pageData.title,
+            detectedIssues: (pageData.darkModeIssues || []).map(issue => issue.type || String(issue))
+        } : {});
         
         if (response) {
             sendResponse({ 
@@ -471,40 +1362,230 @@ Respond in a friendly, helpful tone as if you're chatting with the user.`;
         console.error('[Background] Chat error:', error);
         sendResponse({ 
             success: false, 
-            message: "Sorry, I encountered an error. Please try again."
+            message: error.rateLimited ? `⏳ ${error.message}` : "Sorry, I encountered an error. Please try again.",
+            rateLimited: !!error.rateLimited,
+            retryAfter: error.retryAfter
+        });
+    }
+}
+
+// Fix ratings are kept in the learning store and sent to the proxy, which attaches them to the stored patch
+// 'positive' | 'partial' | 'negative' from the verdict shapes the popup sends
+function normalizeVerdict(value) {
+    if (value === true || value === 'up' || value === 'good') return 'positive';
+    if (value === false || value === 'down' || value === 'bad') return 'negative';
+    if (typeof value === 'number') {
+        return value >= 0.75 ? 'positive' : value >= 0.25 ? 'partial' : 'negative';
+    }
+    return ['positive', 'partial', 'negative'].includes(value) ? value : null;
+}
+
+// Persist a verdict on a CSS patch locally, then report it to the proxy
+async function recordFixRating(rating) {
+    const record = { ...rating, timestamp: Date.now(), reported: false };
+    
+    if (record.css) {
+        try {
+            const response = await fetchFromProxy('/api/ratings', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ css: record.css, verdict: record.verdict })
+            });
+            // 404: the patch did not come from the proxy (e.g. a locally learned fix)
+            record.reported = response.ok;
+            record.matched = response.status !== 404;
+        } catch (error) {
+            console.debug('[Background] Could not report rating to proxy:', error.message);
+        }
+    }
+    
+    await learningStore.append('fixRatings', [record]);
+    return record;
+}
+
+// Verdict on an applied element fix (popup.js trackFixSuccess)
+async function handleTrackFixSuccess(message, sendResponse) {
+    const data = message.data || {};
+    const verdict = normalizeVerdict(data.feedback);
+    if (!verdict) {
+        sendResponse({ success: false, error: 'Unknown verdict' });
+        return;
+    }
+    try {
+        const record = await recordFixRating({
+            verdict,
+            css: data.css,
+            tag: data.element,
+            elementType: data.elementType,
+            url: data.url,
+            source: 'element-fix'
         });
+        console.debug('[Background] Fix rating recorded:', record);
+        sendResponse({ success: true, reported: record.reported });
+    } catch (error) {
+        console.error('[Background] Failed to record fix rating:', error);
+        sendResponse({ success: false, error: error.message });
     }
 }
 
-// Handle agent rating feedback
-function handleAgentRating(message, sendResponse) {
+// Handle agent rating feedback: { rating, cssPatch?, url? }
+async function handleAgentRating(message, sendResponse) {
     console.debug('[Background] Agent rating received:', message);
-    // Store rating for analytics (could be saved to storage or sent to backend)
-    sendResponse({ status: 'rating_received' });
+    const verdict = normalizeVerdict(message.rating);
+    if (!verdict) {
+        sendResponse({ status: 'error', error: 'Unknown rating' });
+        return;
+    }
+    try {
+        const record = await recordFixRating({
+            verdict,
+            css: message.cssPatch || message.css,
+            url: message.url,
+            source: 'agent'
+        });
+        sendResponse({ status: 'rating_received', reported: record.reported });
+    } catch (error) {
+        console.error('[Background] Failed to record agent rating:', error);
+        sendResponse({ status: 'error', error: error.message });
+    }
 }
 
-// Call Gemini API through your backend proxy
-async function callGeminiAPI(prompt, expectStructuredResponse = false) {
+// Backend proxy base URL (must match host_permissions in manifest.json)
+const PROXY_BASE_URL = 'http://localhost:3000';
+
+// The proxy requires a per-install token on every /api/* call. It is issued once by
+// POST /api/register and kept in storage.local; a 401 means it is no longer valid
+// (e.g. SESSION_SECRET was rotated) and a new one is requested.
+const PROXY_TOKEN_KEY = 'proxyAuthToken';
+let proxyTokenRequest = null;
+
+async function registerWithProxy() {
+    const response = await fetch(`${PROXY_BASE_URL}/api/register`, { method: 'POST' });
+    if (!response.ok) {
+        throw new Error(`Proxy registration failed: HTTP ${response.status}`);
+    }
+    const { token } = await response.json();
+    await browserAPI.storage.local.set({ [PROXY_TOKEN_KEY]: token });
+    console.info('[Background] Registered this install with the proxy');
+    return token;
+}
+
+// Stored token, registering first if there is none. Concurrent callers share one registration.
+async function getProxyToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh) {
+        const stored = await browserAPI.storage.local.get([PROXY_TOKEN_KEY]);
+        if (stored[PROXY_TOKEN_KEY]) return stored[PROXY_TOKEN_KEY];
+    }
+    if (!proxyTokenRequest) {
+        proxyTokenRequest = registerWithProxy().finally(() => { proxyTokenRequest = null; });
+    }
+    return proxyTokenRequest;
+}
+
+// fetch() against the proxy with the install token; re-registers once on 401
+async function fetchFromProxy(path, options = {}) {
+    const send = (token) => fetch(`${PROXY_BASE_URL}${path}`, {
+        ...options,
+        headers: { ...(options.headers || {}), Authorization: `Bearer ${token}` }
+    });
+    
+    let response = await send(await getProxyToken());
+    if (response.status === 401) {
+        console.debug('[Background] Proxy rejected the install token, registering again');
+        response = await send(await getProxyToken({ forceRefresh: true }));
+    }
+    return response;
+}
+
+// Register on first run so the first AI request does not pay for it
+browserAPI.runtime.onInstalled.addListener(() => {
+    getProxyToken().catch(error => {
+        console.debug('[Background] Proxy registration deferred:', error.message);
+    });
+});
+
+// Rate limiting: the proxy answers 429 with Retry-After. Short waits are retried with
+// backoff; longer ones make calls fail fast until the limit resets.
+const MAX_RATE_LIMIT_RETRIES = 2;
+const MAX_AUTO_RETRY_WAIT_SECONDS = 5;
+let rateLimitedUntil = 0;
+
+function createRateLimitError(retryAfterSeconds, reason) {
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+    const wait = retryAfterSeconds < 90 ? `${retryAfterSeconds} seconds` : `${minutes} minutes`;
+    const error = new Error(reason && reason !== 'rate_limit'
+        ? `The AI service's daily quota has been used up. Please try again in ${wait}.`
+        : `The AI service is receiving too many requests. Please try again in ${wait}.`);
+    error.rateLimited = true;
+    error.retryAfter = retryAfterSeconds;
+    return error;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Structured page fields for /api/gemini, so the proxy can learn per domain without parsing the prompt
+function buildPageContextFields(context = {}) {
+    let origin = null;
     try {
-        const proxyUrl = 'http://localhost:3000/api/gemini'; // Your backend proxy
+        origin = context.url ? new URL(context.url).origin : null;
+    } catch (e) {
+        // Not a URL (e.g. about:blank); leave the origin empty
+    }
+    return {
+        url: context.url || null,
+        origin,
+        title: context.title || null,
+        elementType: context.elementType || null,
+        detectedIssues: Array.isArray(context.detectedIssues) ? context.detectedIssues : []
+    };
+}
+
+// Call Gemini API through your backend proxy. pageContext: { url, title, elementType, detectedIssues, tag, classes, xpath }
+async function callGeminiAPI(prompt, expectStructuredResponse = false, pageContext = {}) {
+    try {
+        if (Date.now() < rateLimitedUntil) {
+            throw createRateLimitError(Math.ceil((rateLimitedUntil - Date.now()) / 1000));
+        }
         
+        // Callers pass redacted data already; this catches any context that was not
+        pageContext = await redactForProxy(pageContext);
         const requestBody = {
             css: 'N/A', // For compatibility with existing backend
-            tag: 'auto-generated',
-            classes: [],
-            xpath: 'N/A',
-            description: prompt
+            tag: pageContext.tag || 'auto-generated',
+            classes: pageContext.classes || [],
+            xpath: pageContext.xpath || 'N/A',
+            description: prompt,
+            ...buildPageContextFields(pageContext),
+            palette: await getActivePalette() // proxy-built prompts and rules use the same colors
         };
         
         console.debug('[Background] Calling Gemini API:', requestBody);
         
-        const response = await fetch(proxyUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestBody)
-        });
+        let response;
+        for (let attempt = 0; ; attempt++) {
+            response = await fetchFromProxy('/api/gemini', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(requestBody)
+            });
+            if (response.status !== 429) break;
+            
+            const body = await response.json().catch(() => ({}));
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || body.retryAfter || 60;
+            if (attempt >= MAX_RATE_LIMIT_RETRIES || retryAfter > MAX_AUTO_RETRY_WAIT_SECONDS) {
+                rateLimitedUntil = Date.now() + retryAfter * 1000;
+                console.warn(`[Background] Rate limited by proxy (${body.reason || 'rate_limit'}), retry after ${retryAfter}s`);
+                throw createRateLimitError(retryAfter, body.reason);
+            }
+            // Exponential backoff, never shorter than what the server asked for
+            const backoffMs = Math.max(retryAfter * 1000, 1000 * Math.pow(2, attempt));
+            console.debug(`[Background] Rate limited, retrying in ${backoffMs}ms`);
+            await delay(backoffMs);
+        }
         
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -541,9 +1622,15 @@ async function callGeminiAPI(prompt, expectStructuredResponse = false) {
             }
         }
         
-        // Handle direct darkModeCss response from server (legacy support)
-        if (data.darkModeCss) {
-            return data.darkModeCss;
+        // Normalized { darkModeCss, message } response from the proxy's provider layer
+        if (typeof data.darkModeCss === 'string' || data.message) {
+            if (expectStructuredResponse) {
+                return {
+                    message: data.message || (data.darkModeCss ? 'Here is a CSS fix for this page.' : ''),
+                    cssPatch: data.darkModeCss || undefined
+                };
+            }
+            return data.darkModeCss || null;
         }
         
         return null;
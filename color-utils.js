@@ -0,0 +1,226 @@
+/*
+  Color Utils: Universal Dark Mode Extension
+  ------------------------------------------
+  Color parsing and the dark-palette remapping used by the theme engine
+  (theme-engine.js). Remapping inverts a color's lightness into a dark or a
+  light band while keeping its hue and saturation, so a light blue button
+  becomes a dark blue one instead of disappearing into the page background:
+    - backgrounds:  light colors map into BACKGROUND_RANGE, lighter -> darker;
+                    colors already darker than that range are kept
+    - foregrounds:  dark colors map into FOREGROUND_RANGE, darker -> lighter
+    - borders:      like backgrounds, in the slightly lighter BORDER_RANGE
+  Alpha is always preserved. With a palette (palette.js), the ranges follow
+  its background, border and text colors, and grays take the palette's tint.
+*/
+
+const BACKGROUND_RANGE = { min: 0.09, max: 0.35 };
+const BORDER_RANGE = { min: 0.2, max: 0.4 };
+const FOREGROUND_RANGE = { min: 0.6, max: 0.9 };
+// Saturated blues and reds are darker than their HSL lightness suggests; remapped text is
+// lightened further until it reaches this relative luminance (about 4.5:1 on the page background)
+const MIN_FOREGROUND_LUMINANCE = 0.2;
+const DEFAULT_REMAP_RANGES = { background: BACKGROUND_RANGE, border: BORDER_RANGE, foreground: FOREGROUND_RANGE };
+// Colors less saturated than this count as gray and take the palette's hue
+const GRAY_SATURATION = 0.1;
+
+// Named colors that commonly appear in page stylesheets
+const NAMED_COLORS = {
+    white: '#ffffff', black: '#000000', silver: '#c0c0c0', gray: '#808080', grey: '#808080',
+    whitesmoke: '#f5f5f5', gainsboro: '#dcdcdc', lightgray: '#d3d3d3', lightgrey: '#d3d3d3',
+    darkgray: '#a9a9a9', darkgrey: '#a9a9a9', dimgray: '#696969', dimgrey: '#696969',
+    snow: '#fffafa', ivory: '#fffff0', linen: '#faf0e6', beige: '#f5f5dc', aliceblue: '#f0f8ff',
+    ghostwhite: '#f8f8ff', azure: '#f0ffff', mintcream: '#f5fffa', honeydew: '#f0fff0',
+    lightyellow: '#ffffe0', lightblue: '#add8e6', lightgreen: '#90ee90', lightpink: '#ffb6c1',
+    red: '#ff0000', green: '#008000', blue: '#0000ff', navy: '#000080', maroon: '#800000',
+    purple: '#800080', teal: '#008080', olive: '#808000', orange: '#ffa500', yellow: '#ffff00'
+};
+
+// Color tokens inside a declaration value (gradients, shorthands). url(...) segments are matched
+// first (group 1) so file names such as logo-white.svg are left alone, and color names must not
+// be part of a longer identifier (var(--text-black)).
+const COLOR_TOKEN_PATTERN = new RegExp(
+    '(url\\((?:"[^"]*"|\'[^\']*\'|[^)]*)\\))|(#[0-9a-f]{3,8}\\b|(?:rgba?|hsla?)\\([^)]*\\)|(?<![\\w-])(?:' + Object.keys(NAMED_COLORS).join('|') + ')(?![\\w-]))',
+    'gi'
+);
+
+class ColorUtils {
+    // { r, g, b, alpha } (channels 0-255, alpha 0-1), or null for values that are not a color
+    static parseColor(value) {
+        if (!value || typeof value !== 'string') return null;
+        const color = value.trim().toLowerCase();
+        if (color === 'transparent') return { r: 0, g: 0, b: 0, alpha: 0 };
+        if (NAMED_COLORS[color]) return ColorUtils.parseColor(NAMED_COLORS[color]);
+
+        const hexMatch = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+        if (hexMatch) {
+            let hex = hexMatch[1];
+            if (hex.length <= 4) hex = hex.split('').map(digit => digit + digit).join('');
+            return {
+                r: parseInt(hex.slice(0, 2), 16),
+                g: parseInt(hex.slice(2, 4), 16),
+                b: parseInt(hex.slice(4, 6), 16),
+                alpha: hex.length === 8 ? Math.round(parseInt(hex.slice(6, 8), 16) / 255 * 1000) / 1000 : 1
+            };
+        }
+
+        const functionMatch = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+        if (!functionMatch) return null;
+        const parts = functionMatch[2].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+        const number = (part, scale) => part.endsWith('%') ? parseFloat(part) / 100 * scale : parseFloat(part);
+        const alpha = parts.length > 3 ? Math.max(0, Math.min(1, number(parts[3], 1))) : 1;
+
+        if (functionMatch[1].startsWith('rgb')) {
+            const [r, g, b] = parts.slice(0, 3).map(part => Math.round(Math.max(0, Math.min(255, number(part, 255)))));
+            return [r, g, b, alpha].some(Number.isNaN) ? null : { r, g, b, alpha };
+        }
+        const rgb = ColorUtils.hslToRgb({
+            h: parseFloat(parts[0]),
+            s: number(parts[1].endsWith('%') ? parts[1] : parts[1] + '%', 1),
+            l: number(parts[2].endsWith('%') ? parts[2] : parts[2] + '%', 1)
+        });
+        return [rgb.r, rgb.g, rgb.b, alpha].some(Number.isNaN) ? null : { ...rgb, alpha };
+    }
+
+    // Perceived lightness (0 = dark, 1 = light), as used by the menu and contrast checks
+    static lightness(color) {
+        const parsed = typeof color === 'string' ? ColorUtils.parseColor(color) : color;
+        if (!parsed) return 0;
+        return Math.max(0, Math.min(1, (0.2126 * parsed.r + 0.7152 * parsed.g + 0.0722 * parsed.b) / 255));
+    }
+
+    // WCAG relative luminance
+    static luminance({ r, g, b }) {
+        const channel = value => {
+            const c = value / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    }
+
+    static rgbToHsl({ r, g, b }) {
+        const [red, green, blue] = [r / 255, g / 255, b / 255];
+        const max = Math.max(red, green, blue);
+        const min = Math.min(red, green, blue);
+        const l = (max + min) / 2;
+        if (max === min) return { h: 0, s: 0, l };
+
+        const delta = max - min;
+        const s = l > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+        let h;
+        if (max === red) h = (green - blue) / delta + (green < blue ? 6 : 0);
+        else if (max === green) h = (blue - red) / delta + 2;
+        else h = (red - green) / delta + 4;
+        return { h: h * 60, s, l };
+    }
+
+    static hslToRgb({ h, s, l }) {
+        const hue = ((h % 360) + 360) % 360 / 360;
+        if (s === 0) {
+            const gray = Math.round(l * 255);
+            return { r: gray, g: gray, b: gray };
+        }
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+        const channel = t => {
+            const x = t < 0 ? t + 1 : t > 1 ? t - 1 : t;
+            if (x < 1 / 6) return p + (q - p) * 6 * x;
+            if (x < 1 / 2) return q;
+            if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+            return p;
+        };
+        return {
+            r: Math.round(channel(hue + 1 / 3) * 255),
+            g: Math.round(channel(hue) * 255),
+            b: Math.round(channel(hue - 1 / 3) * 255)
+        };
+    }
+
+    static toCss({ r, g, b, alpha = 1 }) {
+        return alpha >= 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    // Remap ranges for a palette's colors ({ background, border, text, textMuted, ... })
+    static rangesFor(colors) {
+        const hsl = value => ColorUtils.rgbToHsl(ColorUtils.parseColor(value));
+        const background = hsl(colors.background);
+        const border = hsl(colors.border);
+        const text = hsl(colors.text);
+        const textMuted = hsl(colors.textMuted);
+        return {
+            background: { min: background.l, max: Math.min(0.45, background.l + 0.26), tint: background },
+            border: { min: Math.max(background.l, border.l - 0.07), max: Math.min(0.55, border.l + 0.13), tint: border },
+            foreground: { min: Math.min(textMuted.l, text.l - 0.1), max: text.l, tint: text }
+        };
+    }
+
+    // Grays take the hue and saturation of the range's tint, if it has one
+    static tinted(hsl, range) {
+        return range.tint && hsl.s < GRAY_SATURATION ? { ...hsl, h: range.tint.h, s: range.tint.s } : hsl;
+    }
+
+    // Lighter colors map to the dark end of the range; colors already below it are kept
+    static invertIntoDarkRange(color, range) {
+        const hsl = ColorUtils.tinted(ColorUtils.rgbToHsl(color), range);
+        const l = hsl.l > 0.5
+            ? range.min + (1 - hsl.l) * 2 * (range.max - range.min)
+            : Math.min(hsl.l, range.max);
+        return { ...ColorUtils.hslToRgb({ ...hsl, l }), alpha: color.alpha };
+    }
+
+    // Darker colors map to the light end of the range; colors already above it are kept
+    static invertIntoLightRange(color, range) {
+        const hsl = ColorUtils.tinted(ColorUtils.rgbToHsl(color), range);
+        let l = hsl.l < 0.5
+            ? range.max - hsl.l * 2 * (range.max - range.min)
+            : Math.max(hsl.l, range.min);
+        let rgb = ColorUtils.hslToRgb({ ...hsl, l });
+        while (ColorUtils.luminance(rgb) < MIN_FOREGROUND_LUMINANCE && l < 0.95) {
+            l = Math.min(0.95, l + 0.02);
+            rgb = ColorUtils.hslToRgb({ ...hsl, l });
+        }
+        return { ...rgb, alpha: color.alpha };
+    }
+
+    // role: 'background' | 'foreground' | 'border'. Returns a CSS color, or null if the value
+    // is not a color or needs no change. `ranges` comes from rangesFor(palette).
+    static remap(value, role, ranges = DEFAULT_REMAP_RANGES) {
+        const color = ColorUtils.parseColor(value);
+        if (!color || color.alpha === 0) return null;
+        const remapped = role === 'foreground'
+            ? ColorUtils.invertIntoLightRange(color, ranges.foreground)
+            : ColorUtils.invertIntoDarkRange(color, ranges[role] || ranges.background);
+        const css = ColorUtils.toCss(remapped);
+        return css === ColorUtils.toCss(color) ? null : css;
+    }
+
+    // Remap every color token in a declaration value (gradients, shorthands); null if none changed
+    static remapValue(value, role, ranges = DEFAULT_REMAP_RANGES) {
+        if (!value || typeof value !== 'string') return null;
+        let changed = false;
+        const result = value.replace(COLOR_TOKEN_PATTERN, (token, url) => {
+            if (url) return token;
+            const remapped = ColorUtils.remap(token, role, ranges);
+            if (!remapped) return token;
+            changed = true;
+            return remapped;
+        });
+        return changed ? result : null;
+    }
+
+    // Whether a computed color still needs remapping for its role
+    static needsRemap(value, role, ranges = DEFAULT_REMAP_RANGES) {
+        const color = ColorUtils.parseColor(value);
+        if (!color || color.alpha === 0) return false;
+        const { l } = ColorUtils.rgbToHsl(color);
+        if (role === 'foreground') return l < ranges.foreground.min || ColorUtils.luminance(color) < MIN_FOREGROUND_LUMINANCE;
+        return l > (ranges[role] || ranges.background).max;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorUtils;
+} else if (typeof window !== 'undefined') {
+    window.ColorUtils = ColorUtils;
+}
@@ -30,6 +30,49 @@ try {
     console.warn('[Content] AI Learning Engine not available:', error);
 }
 
+// Learning data lives in the background's learning store (learning-store.js). Older versions
+// kept it in this site's localStorage, where page scripts could read it; move it over once.
+const learningStore = new LearningStoreClient();
+learningStore.migrateFromLocalStorage().catch(error => {
+    console.debug('[Content] Learning data migration will be retried on the next visit:', error.message);
+});
+
+// Patch library (loaded at document_start) for saving approved patches
+let patchLibrary = null;
+try {
+    patchLibrary = new PatchLibrary();
+} catch (error) {
+    console.warn('[Content] Patch library not available:', error);
+}
+
+// Shared patch layer stack (patch-manager.js, loaded at document_start)
+const patchManager = window.darkModePatches || null;
+if (!patchManager) {
+    console.warn('[Content] Patch manager not available');
+}
+
+// The site's own dark mode, when it has one (native-dark-mode.js)
+const nativeDarkMode = window.darkModeNative || null;
+
+// Enhanced learning mode (set from the learning dashboard via background.js): when on,
+// every selected element also carries the extra features collected by collectEnhancedFeatures()
+let enhancedLearningEnabled = false;
+browserAPI.storage.local.get(['learningModes']).then(result => {
+    enhancedLearningEnabled = !!(result.learningModes && result.learningModes.enhancedLearning && result.learningModes.enhancedLearning.enabled);
+}).catch(error => console.debug('[Content] Could not read learning modes:', error));
+browserAPI.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.learningModes) {
+        const modes = changes.learningModes.newValue || {};
+        enhancedLearningEnabled = !!(modes.enhancedLearning && modes.enhancedLearning.enabled);
+    }
+});
+
+// Brightness, contrast, sepia and grayscale filters (theme-filters.js) for this site. They only
+// take effect while dark mode is on; the background pushes changes with APPLY_THEME_FILTERS.
+browserAPI.storage.sync.get([ThemeFilters.STORAGE_KEY]).then(result => {
+    ThemeFilters.applyToDocument(ThemeFilters.resolve(result[ThemeFilters.STORAGE_KEY], location.origin));
+}).catch(error => console.debug('[Content] Could not read theme filters:', error));
+
 // Function to get the XPath of an element
 function getXPath(element) {
     if (element.id !== '') {
@@ -228,11 +271,52 @@ function getComprehensiveElementData(element) {
         // Issues detected
         detectedIssues: issues,
         
+        // Extra training data in enhanced learning mode
+        ...(enhancedLearningEnabled ? { enhancedFeatures: collectEnhancedFeatures(element, computedStyle) } : {}),
+        
         // Meta info
         timestamp: Date.now()
     };
 }
 
+// Additional per-element features recorded in enhanced learning mode: the background actually
+// visible behind the element, real contrast against it, typography and structural context
+function collectEnhancedFeatures(element, computedStyle) {
+    // Walk up to the first ancestor with a non-transparent background
+    const ancestorBackgrounds = [];
+    let effectiveBackground = null;
+    for (let node = element; node && node.nodeType === 1 && ancestorBackgrounds.length < 6; node = node.parentElement) {
+        const background = window.getComputedStyle(node).backgroundColor;
+        ancestorBackgrounds.push({ tag: node.tagName, backgroundColor: background });
+        if (parseColor(background).alpha > 0) {
+            effectiveBackground = background;
+            break;
+        }
+    }
+    
+    let depth = 0;
+    for (let node = element.parentElement; node; node = node.parentElement) depth++;
+    
+    const rect = element.getBoundingClientRect();
+    return {
+        effectiveBackground: effectiveBackground || 'rgb(255, 255, 255)',
+        effectiveContrast: Math.round(calculateContrast(
+            parseColor(effectiveBackground || 'rgb(255, 255, 255)'),
+            parseColor(computedStyle.color)
+        ) * 100) / 100,
+        ancestorBackgrounds,
+        fontFamily: computedStyle.fontFamily,
+        lineHeight: computedStyle.lineHeight,
+        backdropFilter: computedStyle.backdropFilter || 'none',
+        role: element.getAttribute('role'),
+        ariaExpanded: element.getAttribute('aria-expanded'),
+        childElementCount: element.childElementCount,
+        depth,
+        viewportCoverage: Math.round((rect.width * rect.height) / (window.innerWidth * window.innerHeight) * 1000) / 1000,
+        colorScheme: computedStyle.colorScheme || 'normal'
+    };
+}
+
 // Detect element type and purpose for better AI understanding
 function detectElementType(element) {
     const tag = element.tagName.toLowerCase();
@@ -327,45 +411,10 @@ function detectDarkModeIssues(element, computedStyle) {
     return issues;
 }
 
-// Helper function to parse CSS color values
+// Helper function to parse CSS color values (color-utils.js); unknown values count as opaque black
 function parseColor(colorStr) {
-    if (!colorStr || colorStr === 'transparent') {
-        return { r: 0, g: 0, b: 0, alpha: 0 };
-    }
-    
-    // Handle rgba/rgb
-    const rgbaMatch = colorStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
-    if (rgbaMatch) {
-        return {
-            r: parseInt(rgbaMatch[1]),
-            g: parseInt(rgbaMatch[2]),
-            b: parseInt(rgbaMatch[3]),
-            alpha: rgbaMatch[4] ? parseFloat(rgbaMatch[4]) : 1
-        };
-    }
-    
-    // Handle hex colors
-    const hexMatch = colorStr.match(/^#([a-f\d]{3}|[a-f\d]{6})$/i);
-    if (hexMatch) {
-        const hex = hexMatch[1];
-        if (hex.length === 3) {
-            return {
-                r: parseInt(hex[0] + hex[0], 16),
-                g: parseInt(hex[1] + hex[1], 16),
-                b: parseInt(hex[2] + hex[2], 16),
-                alpha: 1
-            };
-        } else {
-            return {
-                r: parseInt(hex.slice(0, 2), 16),
-                g: parseInt(hex.slice(2, 4), 16),
-                b: parseInt(hex.slice(4, 6), 16),
-                alpha: 1
-            };
-        }
-    }
-    
-    return { r: 0, g: 0, b: 0, alpha: 1 };
+    if (!colorStr) return { r: 0, g: 0, b: 0, alpha: 0 };
+    return ColorUtils.parseColor(colorStr) || { r: 0, g: 0, b: 0, alpha: 1 };
 }
 
 // Check if a color is considered "light"
@@ -393,15 +442,7 @@ function calculateContrast(color1, color2) {
 
 // Calculate relative luminance of a color
 function getLuminance(color) {
-    const rsRGB = color.r / 255;
-    const gsRGB = color.g / 255;
-    const bsRGB = color.b / 255;
-    
-    const r = rsRGB <= 0.03928 ? rsRGB / 12.92 : Math.pow((rsRGB + 0.055) / 1.055, 2.4);
-    const g = gsRGB <= 0.03928 ? gsRGB / 12.92 : Math.pow((gsRGB + 0.055) / 1.055, 2.4);
-    const b = bsRGB <= 0.03928 ? bsRGB / 12.92 : Math.pow((bsRGB + 0.055) / 1.055, 2.4);
-    
-    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return ColorUtils.luminance(color);
 }
 
 // Listen for messages from the popup or background script
@@ -411,49 +452,71 @@ browserAPI.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     switch (msg.type) {
         case 'TOGGLE_DARK_MODE':
             // Implement dark mode toggling logic here
-            if (msg.enabled) {
+            if (msg.enabled && nativeDarkMode && nativeDarkMode.enable()) {
+                // The site's own dark mode is used instead of ours (native-dark-mode.js)
+                document.documentElement.classList.remove('universal-dark-mode');
+            } else if (msg.enabled) {
                 document.documentElement.classList.add('universal-dark-mode');
+                if (patchLibrary) {
+                    patchLibrary.replay().catch(error => {
+                        console.debug('[Content] Patch library replay failed:', error);
+                    });
+                }
             } else {
+                if (nativeDarkMode) nativeDarkMode.disable();
                 document.documentElement.classList.remove('universal-dark-mode');
+                if (patchManager) {
+                    patchManager.removeAll();
+                }
             }
             sendResponse({ status: 'ok' });
             break;
 
+        case 'APPLY_THEME_FILTERS':
+            // Live filter changes from the popup, saved or being previewed
+            sendResponse({ status: 'ok', filters: ThemeFilters.applyToDocument(msg.filters) });
+            break;
+
         case 'START_ELEMENT_SELECTION':
             startElementSelection();
             sendResponse({ status: 'ok' });
             break;
 
         case 'SUBMIT_DARKMODE_FEEDBACK':
-            // Enhanced feedback submission with local storage
-            try {
-                const feedbackData = {
-                    tag: msg.tag,
-                    classes: msg.classes,
-                    xpath: msg.xpath,
-                    description: msg.description,
-                    url: window.location.href,
-                    timestamp: Date.now(),
-                    fixed: false // Will be updated when fixes are applied
-                };
-                
-                // Store feedback in localStorage for analytics
-                let feedbackList = [];
-                try {
-                    feedbackList = JSON.parse(localStorage.getItem('darkmode_feedback') || '[]');
-                } catch (e) {
-                    console.warn('[Content] Could not parse existing feedback data');
-                }
-                
-                feedbackList.push(feedbackData);
-                localStorage.setItem('darkmode_feedback', JSON.stringify(feedbackList));
-                
-                console.debug('[Content] Feedback stored:', feedbackData);
+            // Enhanced feedback submission, kept in the learning store for analytics
+            learningStore.append('darkmode_feedback', {
+                tag: msg.tag,
+                classes: msg.classes,
+                xpath: msg.xpath,
+                description: msg.description,
+                url: window.location.href,
+                timestamp: Date.now(),
+                fixed: false // Will be updated when fixes are applied
+            }).then(() => {
+                console.debug('[Content] Feedback stored for', msg.tag);
                 sendResponse({ status: 'ok', stored: true });
-            } catch (error) {
+            }).catch(error => {
                 console.error('[Content] Error storing feedback:', error);
                 sendResponse({ status: 'error', error: error.message });
+            });
+            break;
+
+        case 'PREDICT_ELEMENT_FIX':
+            // First tier of background.js's element fix pipeline: a fix learned from local feedback
+            if (!aiLearning || !msg.elementData) {
+                sendResponse({ status: 'ok', prediction: null });
+                break;
             }
+            aiLearning.generatePredictiveCSS(
+                { ...msg.elementData, classes: msg.elementData.classes || [] },
+                { url: window.location.href }
+            ).then(prediction => {
+                console.debug('[Content] Local pattern prediction:', prediction);
+                sendResponse({ status: 'ok', prediction });
+            }).catch(error => {
+                console.debug('[Content] Local pattern prediction failed:', error);
+                sendResponse({ status: 'ok', prediction: null });
+            });
             break;
 
         case 'ANALYZE_PAGE_FOR_CHAT':
@@ -527,12 +590,14 @@ browserAPI.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         case 'inject-darkmode-css':
             // Enhanced CSS injection with AI learning tracking and user feedback
             try {
-                const style = document.createElement('style');
-                style.textContent = msg.css;
-                style.setAttribute('data-darkmode-patch', Date.now());
-                style.setAttribute('data-source', msg.source || 'gemini');
-                style.setAttribute('data-element-info', JSON.stringify(msg.elementInfo || {}));
-                document.head.appendChild(style);
+                if (!patchManager) {
+                    throw new Error('Patch manager not available');
+                }
+                const layer = patchManager.addLayer({
+                    css: msg.css,
+                    source: msg.source || (msg.elementInfo ? 'element-fix' : 'chat'),
+                    elementInfo: msg.elementInfo
+                });
                 
                 // Track successful CSS application for AI learning
                 if (aiLearning && msg.elementData) {
@@ -584,7 +649,7 @@ browserAPI.runtime.onMessage.addListener((msg, sender, sendResponse) => {
                 sendResponse({ 
                     status: 'ok', 
                     applied: true,
-                    patchId: Date.now(),
+                    patchId: layer.id,
                     elementInfo: msg.elementInfo 
                 });
             } catch (error) {
@@ -612,6 +677,87 @@ browserAPI.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             }
             break;
 
+        case 'SAVE_PATCH_TO_LIBRARY':
+            // Persist an approved patch so it is replayed on future visits
+            if (patchLibrary && msg.css) {
+                patchLibrary.savePatch({
+                    css: msg.css,
+                    url: window.location.href,
+                    elementInfo: msg.elementInfo,
+                    source: msg.source,
+                    ratedUp: msg.ratedUp !== false
+                }).then(patch => {
+                    sendResponse({ status: 'ok', patch });
+                }).catch(error => {
+                    console.error('[Content] Saving patch to library failed:', error);
+                    sendResponse({ status: 'error', error: error.message });
+                });
+            } else {
+                sendResponse({ status: 'error', reason: 'Patch library not available' });
+            }
+            break;
+
+        case 'RATE_LIBRARY_PATCH':
+            // A stored patch that is no longer rated up stops being replayed
+            if (patchLibrary && msg.css) {
+                patchLibrary.setRating(window.location.href, msg.css, msg.ratedUp).then(patch => {
+                    sendResponse({ status: 'ok', updated: !!patch });
+                }).catch(error => {
+                    console.error('[Content] Rating library patch failed:', error);
+                    sendResponse({ status: 'error', error: error.message });
+                });
+            } else {
+                sendResponse({ status: 'error', reason: 'Patch library not available' });
+            }
+            break;
+
+        case 'GET_PATCH_LAYERS':
+            // List the patch layers applied to this page (without their CSS)
+            sendResponse({
+                status: 'ok',
+                layers: patchManager ? patchManager.listLayers() : [],
+                history: patchManager ? patchManager.getHistoryState() : null
+            });
+            break;
+
+        case 'SET_PATCH_LAYER_ENABLED':
+            if (patchManager && patchManager.setLayerEnabled(msg.layerId, msg.enabled)) {
+                sendResponse({ status: 'ok', layer: patchManager.getLayer(msg.layerId) });
+            } else {
+                sendResponse({ status: 'error', reason: 'Patch layer not found' });
+            }
+            break;
+
+        case 'REMOVE_PATCH_LAYER':
+        case 'ROLLBACK_PATCH_LAYER':
+            // Rolling back removes the exact layer a rating refers to; the removal can itself be undone
+            if (patchManager && patchManager.removeLayer(msg.layerId)) {
+                sendResponse({ status: 'ok', history: patchManager.getHistoryState() });
+            } else {
+                sendResponse({ status: 'error', reason: 'Patch layer not found' });
+            }
+            break;
+
+        case 'UNDO_PATCH':
+        case 'REDO_PATCH':
+            if (patchManager) {
+                const change = msg.type === 'UNDO_PATCH' ? patchManager.undo() : patchManager.redo();
+                console.info(`[Content] ${msg.type === 'UNDO_PATCH' ? 'Undo' : 'Redo'}:`, change ? `${change.action} ${change.layerId}` : 'nothing to do');
+                sendResponse({ status: 'ok', change, history: patchManager.getHistoryState() });
+            } else {
+                sendResponse({ status: 'error', reason: 'Patch manager not available' });
+            }
+            break;
+
+        case 'GET_MODEL_INFO':
+            // Version and accuracy of the on-device menu classifier (ai-model.js)
+            if (window.getModelInfo) {
+                sendResponse({ status: 'ok', model: window.getModelInfo() });
+            } else {
+                sendResponse({ status: 'error', reason: 'Menu classifier not available' });
+            }
+            break;
+
         case 'GET_LEARNING_REPORT':
             // Generate and return learning analytics report
             if (aiLearning) {
@@ -650,11 +796,13 @@ browserAPI.runtime.onMessage.addListener((msg, sender, sendResponse) => {
                     ).then(predictiveFix => {
                         if (predictiveFix && predictiveFix.confidence > 0.8) {
                             // Auto-apply high-confidence fixes
-                            const style = document.createElement('style');
-                            style.textContent = predictiveFix.css;
-                            style.setAttribute('data-darkmode-patch', Date.now());
-                            style.setAttribute('data-source', 'ai-learning-predictive');
-                            document.head.appendChild(style);
+                            if (patchManager) {
+                                patchManager.addLayer({
+                                    css: predictiveFix.css,
+                                    source: 'learned-pattern',
+                                    key: 'learned-pattern:page'
+                                });
+                            }
                             
                             triggerResponse.predictiveFixApplied = true;
                             triggerResponse.predictiveCSS = predictiveFix.css;
@@ -854,13 +1002,14 @@ function getCurrentDarkModeStatus() {
     console.debug('[Content] Getting current dark mode status');
     
     try {
-        const isDarkModeEnabled = document.documentElement.classList.contains('universal-dark-mode');
+        const isDarkModeEnabled = document.documentElement.classList.contains('universal-dark-mode') ||
+            !!(nativeDarkMode && nativeDarkMode.isApplied());
         const analysis = analyzePageForDarkMode();
         
         return {
             darkModeEnabled: isDarkModeEnabled,
             problemsFound: analysis.problemElements,
-            fixesApplied: document.querySelectorAll('style[data-darkmode-patch]').length,
+            fixesApplied: document.querySelectorAll('style[data-darkmode-patch]:not([data-darkmode-patch-disabled])').length,
             lastAnalysis: Date.now(),
             confidence: analysis.problemElements === 0 ? 100 : Math.max(20, 100 - (analysis.problemElements * 10))
         };
@@ -899,7 +1048,7 @@ function verifyDarkModeFixes() {
     
     try {
         const analysis = analyzePageForDarkMode();
-        const appliedPatches = document.querySelectorAll('style[data-darkmode-patch]').length;
+        const appliedPatches = document.querySelectorAll('style[data-darkmode-patch]:not([data-darkmode-patch-disabled])').length;
         
         return {
             remainingIssues: analysis.problemElements,
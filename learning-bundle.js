@@ -0,0 +1,122 @@
+/*
+  Learning Bundle: Universal Dark Mode Extension
+  ----------------------------------------------
+  Versioned JSON format for sharing what the extension has learned between
+  machines, and the merge rules used when a bundle is imported. Loaded by the
+  background worker, the content scripts and the popup so every store merges
+  the same way:
+    - Knowledge records (feedback, saved patches) are deduplicated by domain
+      and element key; when both sides have one, the newer record wins and
+      keeps any fields only the older one had.
+    - Event records (success metrics, fix tracking, ratings, resolutions) are
+      deduplicated by domain, element key and timestamp, so importing the same
+      bundle twice adds nothing while distinct events are all kept.
+*/
+
+class LearningBundle {
+    // Reject bundles that are not ours or were written by a newer extension
+    static validate(bundle) {
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== LearningBundle.FORMAT) {
+            throw new Error('Not a learning data export');
+        }
+        if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+            throw new Error('Learning data export has no valid version');
+        }
+        if (bundle.version > LearningBundle.VERSION) {
+            throw new Error(`Learning data export version ${bundle.version} needs a newer extension`);
+        }
+        if (!bundle.stores || typeof bundle.stores !== 'object') {
+            throw new Error('Learning data export has no stores');
+        }
+        return bundle;
+    }
+
+    // Same key ai-learning.js uses for learned fixes: tag and classes joined with "."
+    static elementKeyFor(record) {
+        const element = record.elementData || record.elementInfo || record;
+        const tag = element.tag || record.element || '';
+        const classes = Array.isArray(element.classes) ? element.classes : [];
+        return `${tag}.${classes.join('.')}`;
+    }
+
+    static domainFor(record) {
+        if (record.domain) return record.domain;
+        const url = record.url || (record.elementData && record.elementData.url);
+        try {
+            return url ? new URL(url).hostname : '';
+        } catch {
+            return '';
+        }
+    }
+
+    static recordTime(record) {
+        return record.lastUpdated || record.updatedAt || record.timestamp || record.createdAt || 0;
+    }
+
+    static knowledgeKey(record) {
+        return `${LearningBundle.domainFor(record)}|${LearningBundle.elementKeyFor(record)}`;
+    }
+
+    static eventKey(record) {
+        return `${LearningBundle.knowledgeKey(record)}|${record.timestamp || ''}`;
+    }
+
+    // Newer record wins; on a tie the local record is kept. A local id is never replaced,
+    // since other stores (such as applied patch layers) refer to it.
+    static resolveConflict(local, imported) {
+        if (LearningBundle.recordTime(imported) > LearningBundle.recordTime(local)) {
+            return { record: { ...local, ...imported, ...(local.id ? { id: local.id } : {}) }, changed: true };
+        }
+        return { record: local, changed: false };
+    }
+
+    // Merge imported records into a local list. Only imported records are matched against
+    // the local ones; records already in the local list are never collapsed together.
+    // Returns { records, added, updated, duplicates }, with records ordered oldest first.
+    static mergeRecords(local, imported, keyFor = LearningBundle.knowledgeKey) {
+        const records = Array.isArray(local) ? local.slice() : [];
+        const indexByKey = new Map();
+        records.forEach((record, index) => indexByKey.set(keyFor(record), index));
+        const summary = { added: 0, updated: 0, duplicates: 0 };
+
+        (Array.isArray(imported) ? imported : []).forEach(record => {
+            if (!record || typeof record !== 'object') return;
+            const key = keyFor(record);
+            if (!indexByKey.has(key)) {
+                indexByKey.set(key, records.length);
+                records.push(record);
+                summary.added++;
+                return;
+            }
+            const index = indexByKey.get(key);
+            const { record: resolved, changed } = LearningBundle.resolveConflict(records[index], record);
+            records[index] = resolved;
+            summary[changed ? 'updated' : 'duplicates']++;
+        });
+
+        records.sort((a, b) => LearningBundle.recordTime(a) - LearningBundle.recordTime(b));
+        return { records, ...summary };
+    }
+
+    // Counts from a merge result, without the records
+    static summarize({ added, updated, duplicates }) {
+        return { added, updated, duplicates };
+    }
+
+    // Event logs keep their most recent entries up to each store's limit
+    static mergeEvents(local, imported, limit) {
+        const result = LearningBundle.mergeRecords(local, imported, LearningBundle.eventKey);
+        result.records = result.records.slice(-limit);
+        return result;
+    }
+}
+
+LearningBundle.FORMAT = 'universal-dark-mode-learning';
+LearningBundle.VERSION = 1; // bump when the shape of the bundle changes
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LearningBundle;
+} else if (typeof window !== 'undefined') {
+    window.LearningBundle = LearningBundle;
+}
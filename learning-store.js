@@ -0,0 +1,286 @@
+/*
+  Learning Store: Universal Dark Mode Extension
+  ---------------------------------------------
+  Every learning store lives in extension storage (storage.local) and is
+  written only by the background worker, which owns a LearningStore and
+  serializes all writes. Content scripts and the popup use
+  LearningStoreClient, which sends LEARNING_STORE messages to the worker.
+  Learning is therefore shared across sites, hidden from page scripts and
+  kept when the user clears a site's data.
+
+  Stores (storage.local keys):
+    darkmode_feedback      reported issues and menu accuracy answers
+    darkmode_success       success metrics for applied fixes (ai-learning.js)
+    darkmode_fix_tracking  fix verdicts from the popup
+    fixRatings             verdicts reported to the proxy (background.js)
+    fixResolutions         which tier resolved each element fix (background.js)
+    darkmode_patterns      patterns derived from the feedback (ai-learning.js)
+    darkmode_menu_model    menu classifier weights (ai-model.js)
+
+  These used to be kept in each website's localStorage (and the popup's).
+  LearningStoreClient.migrateFromLocalStorage() moves any data found there
+  into the store, merging it with learning-bundle.js rules, then removes it.
+  Page scripts can write to their localStorage, so records from a website are
+  untrusted: they lose applied CSS, classifier features and fix verdicts, are
+  stamped with the sending tab's origin, and each origin is migrated once.
+*/
+
+// List stores are capped at `limit` records, keeping the newest. Event stores are
+// deduplicated by timestamp as well as domain and element key (see learning-bundle.js).
+const LEARNING_STORES = {
+    darkmode_feedback: { list: true, limit: 1000, events: false },
+    darkmode_success: { list: true, limit: 500, events: true },
+    darkmode_fix_tracking: { list: true, limit: 100, events: true },
+    fixRatings: { list: true, limit: 200, events: true },
+    fixResolutions: { list: true, limit: 500, events: true },
+    darkmode_patterns: { list: false },
+    darkmode_menu_model: { list: false }
+};
+
+// Stores that may be found in page or popup localStorage from older versions
+const LEGACY_LOCAL_STORES = ['darkmode_feedback', 'darkmode_success', 'darkmode_fix_tracking', 'darkmode_patterns', 'darkmode_menu_model'];
+const LEGACY_LOCAL_KEYS = LEGACY_LOCAL_STORES.concat('darkmode_last_train');
+// Fields a website could use to plant fixes or train the classifier through its localStorage
+const UNTRUSTED_LEGACY_FIELDS = ['appliedCSS', 'features', 'fixed'];
+// storage.local key listing the website origins already migrated
+const MIGRATED_ORIGINS_KEY = 'learningMigratedOrigins';
+const MIGRATED_ORIGINS_LIMIT = 1000;
+
+class LearningStore {
+    constructor(storageArea) {
+        this.storage = storageArea;
+        this.writeQueue = Promise.resolve();
+    }
+
+    static configFor(name) {
+        const config = LEARNING_STORES[name];
+        if (!config) throw new Error(`Unknown learning store: ${name}`);
+        return config;
+    }
+
+    // Serialize read-modify-write operations so concurrent messages never lose records
+    enqueueWrite(operation) {
+        const run = this.writeQueue.then(operation);
+        this.writeQueue = run.catch(error => {
+            console.error('[Learning Store] Write failed:', error.message);
+        });
+        return run;
+    }
+
+    // { [name]: value }; list stores default to [], others to null
+    async get(names) {
+        names.forEach(name => LearningStore.configFor(name));
+        const stored = await this.storage.get(names);
+        const values = {};
+        names.forEach(name => {
+            values[name] = stored[name] !== undefined ? stored[name] : (LEARNING_STORES[name].list ? [] : null);
+        });
+        return values;
+    }
+
+    // Records of a list store, optionally only those newer than `since`
+    async query(name, { since } = {}) {
+        const { [name]: records } = await this.get([name]);
+        if (!LearningStore.configFor(name).list) return records;
+        return since ? records.filter(record => (record.timestamp || 0) > since) : records;
+    }
+
+    set(name, value) {
+        LearningStore.configFor(name);
+        return this.enqueueWrite(() => this.storage.set({ [name]: value }));
+    }
+
+    append(name, records) {
+        const config = LearningStore.configFor(name);
+        return this.enqueueWrite(async () => {
+            const { [name]: existing } = await this.get([name]);
+            const updated = existing.concat(records).slice(-config.limit);
+            await this.storage.set({ [name]: updated });
+            return updated.length;
+        });
+    }
+
+    // Apply `changes` to the first record whose fields equal every field in `match`.
+    // With `insert`, a record made of `match` and `changes` is appended when none matches.
+    upsert(name, match, changes, { insert = false } = {}) {
+        const config = LearningStore.configFor(name);
+        const matches = record => Object.keys(match).every(key =>
+            JSON.stringify(record[key]) === JSON.stringify(match[key])
+        );
+        return this.enqueueWrite(async () => {
+            const { [name]: records } = await this.get([name]);
+            let record = records.find(matches);
+            if (record) {
+                Object.assign(record, changes);
+            } else if (insert) {
+                record = { ...match, ...changes };
+                records.push(record);
+            } else {
+                return null;
+            }
+            await this.storage.set({ [name]: records.slice(-config.limit) });
+            return record;
+        });
+    }
+
+    // Merge records from another machine or an older storage location. Returns the merge counts.
+    // `asEvents` deduplicates by timestamp too, so distinct records about one element all survive.
+    merge(name, records, { asEvents = false } = {}) {
+        const config = LearningStore.configFor(name);
+        if (!config.list) return Promise.reject(new Error(`${name} is not a list store`));
+        return this.enqueueWrite(async () => {
+            const { [name]: existing } = await this.get([name]);
+            const result = config.events || asEvents
+                ? LearningBundle.mergeEvents(existing, records, config.limit)
+                : LearningBundle.mergeRecords(existing, records);
+            await this.storage.set({ [name]: result.records });
+            return LearningBundle.summarize(result);
+        });
+    }
+
+    // Move stores found in a page's or the popup's localStorage into the store. A local menu
+    // model is only kept when the store has none yet; patterns are rebuilt from the feedback.
+    // `origin` is the sending website's origin (from the message sender, never from the
+    // records), or null for extension pages. Website data is sanitized and taken once per origin.
+    async migrate(stores, { origin = null } = {}) {
+        if (origin && !(await this.claimMigration(origin))) {
+            console.debug('[Learning Store] Legacy data from', origin, 'was already migrated; ignored');
+            return null;
+        }
+        const summary = {};
+        for (const name of LEGACY_LOCAL_STORES) {
+            if (!Array.isArray(stores[name]) || !LEARNING_STORES[name].list) continue;
+            const records = origin ? LearningStore.sanitizeLegacyRecords(stores[name], origin) : stores[name];
+            summary[name] = await this.merge(name, records, { asEvents: true });
+        }
+        // A website's menu model could steer the classifier on every site
+        if (stores.darkmode_menu_model && !origin) {
+            summary.darkmode_menu_model = await this.setIfEmpty('darkmode_menu_model', stores.darkmode_menu_model);
+        }
+        return summary;
+    }
+
+    // Legacy records from a website without the fields it could abuse, tied to that website
+    static sanitizeLegacyRecords(records, origin) {
+        const sameOrigin = url => {
+            try {
+                return new URL(url).origin === origin;
+            } catch (error) {
+                return false;
+            }
+        };
+        return records.filter(record => record && typeof record === 'object').map(record => {
+            const sanitized = { ...record };
+            UNTRUSTED_LEGACY_FIELDS.forEach(field => delete sanitized[field]);
+            sanitized.url = sameOrigin(record.url) ? record.url : origin;
+            sanitized.migratedFrom = origin;
+            return sanitized;
+        });
+    }
+
+    // Record that an origin's legacy data is being migrated; false if it already was
+    claimMigration(origin) {
+        return this.enqueueWrite(async () => {
+            const { [MIGRATED_ORIGINS_KEY]: migrated = [] } = await this.storage.get([MIGRATED_ORIGINS_KEY]);
+            if (migrated.includes(origin)) return false;
+            await this.storage.set({ [MIGRATED_ORIGINS_KEY]: migrated.concat(origin).slice(-MIGRATED_ORIGINS_LIMIT) });
+            return true;
+        });
+    }
+
+    // Store a value only if the store has none yet; resolves to whether it was stored
+    setIfEmpty(name, value) {
+        LearningStore.configFor(name);
+        return this.enqueueWrite(async () => {
+            const { [name]: current } = await this.get([name]);
+            if (current && (!Array.isArray(current) || current.length > 0)) return false;
+            await this.storage.set({ [name]: value });
+            return true;
+        });
+    }
+
+    // Entry point for LEARNING_STORE messages; `origin` is the sending website's, if any
+    handleMessage(message, { origin = null } = {}) {
+        switch (message.operation) {
+            case 'get': return this.get(message.stores || []);
+            case 'query': return this.query(message.store, message.options);
+            case 'set': return this.set(message.store, message.value);
+            case 'append': return this.append(message.store, message.records || []);
+            case 'upsert': return this.upsert(message.store, message.match || {}, message.changes || {}, message.options);
+            case 'merge': return this.merge(message.store, message.records || [], message.options);
+            case 'migrate': return this.migrate(message.stores || {}, { origin });
+            default: return Promise.reject(new Error(`Unknown learning store operation: ${message.operation}`));
+        }
+    }
+}
+
+// Used by content scripts and the popup; mirrors LearningStore's operations over messaging
+class LearningStoreClient {
+    constructor() {
+        this.runtime = typeof chrome !== 'undefined' && chrome.runtime ? chrome.runtime : browser.runtime;
+    }
+
+    request(operation, params = {}) {
+        return new Promise((resolve, reject) => {
+            this.runtime.sendMessage({ type: 'LEARNING_STORE', operation, ...params }, (response) => {
+                if (this.runtime.lastError) {
+                    reject(new Error(this.runtime.lastError.message));
+                } else if (!response || !response.success) {
+                    reject(new Error((response && response.error) || 'No response from the learning store'));
+                } else {
+                    resolve(response.result);
+                }
+            });
+        });
+    }
+
+    get(stores) {
+        return this.request('get', { stores });
+    }
+
+    query(store, options = {}) {
+        return this.request('query', { store, options });
+    }
+
+    set(store, value) {
+        return this.request('set', { store, value });
+    }
+
+    append(store, records) {
+        return this.request('append', { store, records: [].concat(records) });
+    }
+
+    upsert(store, match, changes, options = {}) {
+        return this.request('upsert', { store, match, changes, options });
+    }
+
+    // Move learning data left in localStorage by older versions; keys are removed once stored
+    async migrateFromLocalStorage(storage = localStorage) {
+        const stores = {};
+        LEGACY_LOCAL_STORES.forEach(name => {
+            try {
+                const value = JSON.parse(storage.getItem(name) || 'null');
+                if (value) stores[name] = value;
+            } catch (error) {
+                console.debug(`[Learning Store] Unreadable legacy ${name} ignored`);
+            }
+        });
+        if (Object.keys(stores).length === 0) {
+            LEGACY_LOCAL_KEYS.forEach(key => storage.removeItem(key));
+            return null;
+        }
+
+        const summary = await this.request('migrate', { stores });
+        LEGACY_LOCAL_KEYS.forEach(key => storage.removeItem(key));
+        console.info('[Learning Store] Migrated learning data from localStorage:', summary);
+        return summary;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LearningStore, LearningStoreClient, LEARNING_STORES };
+} else if (typeof window !== 'undefined') {
+    window.LearningStore = LearningStore;
+    window.LearningStoreClient = LearningStoreClient;
+}
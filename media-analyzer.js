@@ -0,0 +1,237 @@
+/*
+  Media Analyzer: Universal Dark Mode Extension
+  ---------------------------------------------
+  Decides per image what the dark theme should do with it, instead of dimming
+  every image. Each image is drawn into a small canvas and its pixels are
+  sampled; the result is set as data-udm-media on the element and styled by
+  dark-theme.css:
+    - photo:        many colors, no dominant one; left alone
+    - diagram:      opaque, mostly white with a few ink colors (logos on white,
+                    charts, screenshots of documents); inverted, hues kept
+    - icon:         transparent with dark ink (PNG line art, glyphs) that would
+                    vanish on a dark surface; given a light backing plate
+    - transparent:  transparent with light ink; already visible, left alone
+    - dark, graphic: already dark, or flat colors on a colored background; left alone
+    - unknown:      pixels could not be read; left alone
+  <img> elements and childless elements showing a single url() background
+  image are analyzed. Cross-origin images taint the canvas; their pixels are
+  then sampled by the background worker, which fetches them one or two at a
+  time and only if they are small images (otherwise they stay 'unknown').
+*/
+
+const MEDIA_ENGINE_CLASS = 'universal-dark-mode';
+const MEDIA_ATTRIBUTE = 'data-udm-media';
+const MEDIA_SAMPLE_SIZE = 32;
+const MEDIA_MIN_SIZE = 12; // Smaller images (spacers, tracking pixels) are skipped
+const MEDIA_MAX_ELEMENTS = 400;
+const MEDIA_CACHE_LIMIT = 500;
+const MEDIA_ALPHA_THRESHOLD = 24; // Pixels with less alpha count as transparent
+const MEDIA_BACKGROUND_CONCURRENCY = 2; // Background worker requests in flight per page
+
+class MediaAnalyzer {
+    constructor() {
+        this.active = false;
+        this.cache = new Map(); // image URL -> Promise of its classification
+        this.observer = null;
+        this.stats = {};
+        this.backgroundQueue = []; // Background worker requests waiting for a free slot
+        this.backgroundRequests = 0;
+        this.handleLoad = this.handleLoad.bind(this);
+    }
+
+    // Follow the universal-dark-mode class on <html>, however it is toggled
+    watch() {
+        const root = document.documentElement;
+        new MutationObserver(() => this.sync()).observe(root, { attributes: true, attributeFilter: ['class'] });
+        this.sync();
+    }
+
+    sync() {
+        const enabled = document.documentElement.classList.contains(MEDIA_ENGINE_CLASS);
+        if (enabled && !this.active) this.start();
+        if (!enabled && this.active) this.stop();
+    }
+
+    start() {
+        this.active = true;
+        this.scan(document.body || document.documentElement);
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                if (node.nodeType === 1) this.scan(node);
+            }));
+        });
+        this.observer.observe(document.documentElement, { childList: true, subtree: true });
+        // Lazy-loaded images and changed src attributes fire load again
+        document.addEventListener('load', this.handleLoad, true);
+        console.debug('[Media Analyzer] Started');
+    }
+
+    stop() {
+        this.active = false;
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        document.removeEventListener('load', this.handleLoad, true);
+        document.querySelectorAll(`[${MEDIA_ATTRIBUTE}]`).forEach(el => el.removeAttribute(MEDIA_ATTRIBUTE));
+        this.stats = {};
+        console.debug('[Media Analyzer] Stopped');
+    }
+
+    handleLoad(event) {
+        if (event.target && event.target.tagName === 'IMG') this.analyzeElement(event.target);
+    }
+
+    scan(root) {
+        if (!root || !root.isConnected) return;
+        const elements = [root, ...root.querySelectorAll('*')];
+        const images = elements.filter(el => el.tagName === 'IMG');
+        // Only empty leaves can carry an icon as background image without other content
+        const leaves = elements
+            .filter(el => el.tagName !== 'IMG' && el.childElementCount === 0 && !el.textContent.trim() && !el.closest('svg'))
+            .slice(0, MEDIA_MAX_ELEMENTS);
+        images.slice(0, MEDIA_MAX_ELEMENTS).concat(leaves).forEach(el => this.analyzeElement(el));
+    }
+
+    // URL of the image an element shows, or null
+    static mediaSource(el) {
+        if (el.tagName === 'IMG') {
+            return el.complete && el.naturalWidth >= MEDIA_MIN_SIZE && el.naturalHeight >= MEDIA_MIN_SIZE
+                ? (el.currentSrc || el.src || null)
+                : null;
+        }
+        const backgroundImage = window.getComputedStyle(el).backgroundImage;
+        const match = backgroundImage && backgroundImage.match(/^url\(["']?(.+?)["']?\)$/);
+        if (!match) return null;
+        const rect = el.getBoundingClientRect();
+        return rect.width >= MEDIA_MIN_SIZE && rect.height >= MEDIA_MIN_SIZE ? match[1] : null;
+    }
+
+    async analyzeElement(el) {
+        const url = MediaAnalyzer.mediaSource(el);
+        if (!url) {
+            el.removeAttribute(MEDIA_ATTRIBUTE);
+            return;
+        }
+        const kind = await this.classify(url, el.tagName === 'IMG' ? el : null);
+        // The page may have switched themes or images while the pixels were read
+        if (!this.active || MediaAnalyzer.mediaSource(el) !== url) return;
+        if (el.getAttribute(MEDIA_ATTRIBUTE) !== kind) {
+            el.setAttribute(MEDIA_ATTRIBUTE, kind);
+            this.stats[kind] = (this.stats[kind] || 0) + 1;
+        }
+    }
+
+    // Classification of the image at `url`, computed once per URL
+    classify(url, img) {
+        if (this.cache.has(url)) return this.cache.get(url);
+        if (this.cache.size >= MEDIA_CACHE_LIMIT) this.cache.delete(this.cache.keys().next().value);
+        const result = this.loadImage(url, img)
+            .then(image => MediaAnalyzer.classifyPixels(MediaAnalyzer.readPixels(
+                image, image.naturalWidth, image.naturalHeight, (width, height) => {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = width;
+                    canvas.height = height;
+                    return canvas;
+                })))
+            .catch(() => this.classifyInBackground(url))
+            .catch(error => {
+                console.debug('[Media Analyzer] Could not read image pixels:', url, error.message);
+                return 'unknown';
+            });
+        this.cache.set(url, result);
+        return result;
+    }
+
+    // The loaded <img> itself when it shows `url`, otherwise a fresh image (for background images)
+    loadImage(url, img) {
+        if (img && img.complete && img.naturalWidth && (img.currentSrc || img.src) === url) {
+            return Promise.resolve(img);
+        }
+        const image = new Image();
+        image.src = url;
+        return image.decode().then(() => image);
+    }
+
+    // A tainted canvas cannot be read here; the background worker fetches and samples the image.
+    // Requests are queued so a page full of images does not flood the worker.
+    classifyInBackground(url) {
+        if (!/^https?:/i.test(url)) return Promise.reject(new Error('Not an http(s) image'));
+        return new Promise((resolve, reject) => {
+            this.backgroundQueue.push({ url, resolve, reject });
+            this.drainBackgroundQueue();
+        });
+    }
+
+    drainBackgroundQueue() {
+        const runtime = (typeof chrome !== 'undefined' && chrome.runtime) ? chrome.runtime : browser.runtime;
+        while (this.backgroundRequests < MEDIA_BACKGROUND_CONCURRENCY && this.backgroundQueue.length > 0) {
+            const { url, resolve, reject } = this.backgroundQueue.shift();
+            this.backgroundRequests++;
+            runtime.sendMessage({ type: 'CLASSIFY_MEDIA', url }).then(response => {
+                if (!response || !response.success) throw new Error((response && response.error) || 'No response from background script');
+                return response.kind;
+            }).then(resolve, reject).finally(() => {
+                this.backgroundRequests--;
+                this.drainBackgroundQueue();
+            });
+        }
+    }
+
+    // RGBA pixels of `source` scaled down to at most MEDIA_SAMPLE_SIZE per side.
+    // createCanvas(width, height) returns a <canvas> or an OffscreenCanvas.
+    static readPixels(source, width, height, createCanvas) {
+        if (!width || !height) throw new Error('Image has no size');
+        const scale = Math.min(1, MEDIA_SAMPLE_SIZE / Math.max(width, height));
+        const sampleWidth = Math.max(1, Math.round(width * scale));
+        const sampleHeight = Math.max(1, Math.round(height * scale));
+        const context = createCanvas(sampleWidth, sampleHeight).getContext('2d');
+        context.drawImage(source, 0, 0, sampleWidth, sampleHeight);
+        // Throws a SecurityError for cross-origin images
+        return context.getImageData(0, 0, sampleWidth, sampleHeight).data;
+    }
+
+    // Classify RGBA pixel data (see the header for the kinds)
+    static classifyPixels(data) {
+        const total = data.length / 4;
+        if (total === 0) return 'unknown';
+        const buckets = new Map();
+        let opaque = 0;
+        let light = 0;
+        let lightnessSum = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < MEDIA_ALPHA_THRESHOLD) continue;
+            opaque++;
+            const lightness = ColorUtils.lightness({ r: data[i], g: data[i + 1], b: data[i + 2] });
+            lightnessSum += lightness;
+            if (lightness > 0.85) light++;
+            // 4 bits per channel
+            const bucket = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+            buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+        }
+        if (opaque === 0) return 'transparent';
+
+        const meanLightness = lightnessSum / opaque;
+        const counts = Array.from(buckets.values()).sort((a, b) => b - a);
+        const topShare = counts.slice(0, 4).reduce((sum, count) => sum + count, 0) / opaque;
+        // Cut-out photos (round avatars, product shots) are transparent too, but have many colors
+        if ((total - opaque) / total >= 0.15 && buckets.size < 48) {
+            return meanLightness < 0.4 ? 'icon' : 'transparent';
+        }
+        if (light / opaque >= 0.5 && topShare >= 0.7 && buckets.size < 96) return 'diagram';
+        if (buckets.size >= 48 || topShare < 0.5) return 'photo';
+        return meanLightness < 0.35 ? 'dark' : 'graphic';
+    }
+
+    getStats() {
+        return { active: this.active, cachedImages: this.cache.size, ...this.stats };
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.MediaAnalyzer = MediaAnalyzer;
+    // One analyzer per page, following the dark mode class wherever it is toggled
+    window.darkModeMedia = window.darkModeMedia || new MediaAnalyzer();
+    window.darkModeMedia.watch();
+}
@@ -0,0 +1,220 @@
+/*
+  Native Dark Mode: Universal Dark Mode Extension
+  -----------------------------------------------
+  Finds out whether a site has a dark mode of its own, so the extension can use
+  it instead of overlaying its theme. Checked once per page, before our theme
+  class is added:
+    - an already-dark page (dark body background, or the site's dark scheme
+      already active because the system prefers dark)     -> 'skip'
+    - a dark theme switch in the site's CSS: a root class (html.dark,
+      .theme-dark .card) or attribute ([data-theme="dark"])  -> 'hook'
+    - @media (prefers-color-scheme: dark) rules             -> 'media'
+  'hook' sets the site's class or attribute on <html> (or <body>); 'media' copies
+  the rules out of their media blocks into an unconditional stylesheet. While
+  the site's own dark mode is in use, <html> has data-udm-native and not the
+  universal-dark-mode class. Sites can be excluded per origin in storage.sync
+  `nativeDarkModeRules` ({ [origin]: 'off' }), which keeps our theme there.
+*/
+
+const NATIVE_ATTRIBUTE = 'data-udm-native';
+const NATIVE_MIN_HOOK_RULES = 5;
+const NATIVE_MIN_MEDIA_RULES = 5;
+const NATIVE_DARK_BACKGROUND = 0.25; // Lightness below which a page background counts as dark
+const NATIVE_DARK_MEDIA_PATTERN = /prefers-color-scheme\s*:\s*dark/i;
+// Root-level dark theme hooks: html.dark, :root.theme-dark, body.dark-mode, .dark .card, [data-theme="dark"]
+const NATIVE_CLASS_HOOK_PATTERN = /^(html|:root|body)?\.([\w-]+)(.*)$/i;
+// dark, dark-mode, darkmode, theme-dark, is-dark...; not component variants such as btn-dark or navbar-dark
+const NATIVE_DARK_CLASS_NAME = /^(?:(?:theme|is|mode|scheme|color-scheme|ui|app|site|page)[-_])?dark(?:[-_]?(?:mode|theme|scheme|ui))?$/i;
+const NATIVE_ATTRIBUTE_HOOK_PATTERN = /^(html|:root|body)?\[((?:data-[\w-]*)?(?:theme|mode|scheme|appearance))\s*=\s*["']?dark["']?\](.*)$/i;
+
+class NativeDarkMode {
+    constructor() {
+        this.detection = null;
+        this.mediaCss = '';
+        this.preferNative = true;
+        this.applied = null; // Strategy in use, or null
+        this.previousHookValue = null; // The hook's state before we set it, restored on disable
+        this.styleElement = null;
+    }
+
+    // The page's dark mode support, detected on first use (before our theme changes the page)
+    getDetection() {
+        if (!this.detection) {
+            const result = NativeDarkMode.inspect(document);
+            this.mediaCss = result.mediaCss;
+            delete result.mediaCss;
+            this.detection = result;
+            console.debug('[Native Dark Mode] Detection:', this.detection);
+        }
+        return this.detection;
+    }
+
+    static inspect(doc) {
+        const root = doc.documentElement;
+        const meta = doc.querySelector('meta[name="color-scheme"]');
+        const declared = `${meta ? meta.content : ''} ${window.getComputedStyle(root).colorScheme || ''}`;
+        const colorScheme = /\bdark\b/i.test(declared) && !/\bonly\s+light\b/i.test(declared);
+        const { mediaRules, mediaCss, hook } = NativeDarkMode.scanStylesheets(doc);
+        const systemPrefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        // Our class would darken the page's own background, so it only counts before the theme is on
+        const darkBackground = !root.classList.contains('universal-dark-mode') && NativeDarkMode.hasDarkBackground(doc);
+        const alreadyDark = darkBackground || (systemPrefersDark && (colorScheme || mediaRules >= NATIVE_MIN_MEDIA_RULES));
+
+        let strategy = null;
+        if (alreadyDark) strategy = 'skip';
+        else if (hook) strategy = 'hook';
+        else if (mediaRules >= NATIVE_MIN_MEDIA_RULES) strategy = 'media';
+        return { colorScheme, alreadyDark, hook, mediaRules, strategy, mediaCss };
+    }
+
+    // Whether the body (or, if it is transparent, the root) already has a dark background
+    static hasDarkBackground(doc) {
+        for (const el of [doc.body, doc.documentElement]) {
+            if (!el) continue;
+            const color = ColorUtils.parseColor(window.getComputedStyle(el).backgroundColor);
+            if (color && color.alpha > 0.5) return ColorUtils.lightness(color) < NATIVE_DARK_BACKGROUND;
+        }
+        return false;
+    }
+
+    // Count dark media rules (and collect their CSS) and find the most used dark theme hook
+    static scanStylesheets(doc) {
+        let mediaRules = 0;
+        const mediaCss = [];
+        const hookCounts = new Map();
+
+        const walk = (rules, inDarkMedia) => {
+            Array.from(rules).forEach(rule => {
+                if (rule.media && rule.cssRules) {
+                    const dark = NATIVE_DARK_MEDIA_PATTERN.test(rule.media.mediaText);
+                    if (dark && !inDarkMedia) {
+                        Array.from(rule.cssRules).forEach(inner => mediaCss.push(inner.cssText));
+                    }
+                    walk(rule.cssRules, inDarkMedia || dark);
+                } else if (rule.cssRules && rule.selectorText === undefined) {
+                    // @supports and @layer blocks
+                    walk(rule.cssRules, inDarkMedia);
+                } else if (rule.selectorText !== undefined) {
+                    if (inDarkMedia) {
+                        mediaRules++;
+                        return;
+                    }
+                    rule.selectorText.split(',').forEach(selector => {
+                        const hook = NativeDarkMode.matchHook(selector.trim());
+                        if (!hook) return;
+                        const key = `${hook.type}|${hook.name}|${hook.target}`;
+                        hookCounts.set(key, (hookCounts.get(key) || 0) + 1);
+                    });
+                }
+            });
+        };
+
+        Array.from(doc.styleSheets).forEach(sheet => {
+            const owner = sheet.ownerNode;
+            if (owner && owner.nodeType === 1 && Array.from(owner.attributes).some(attr => attr.name.startsWith('data-udm-') || attr.name === 'data-darkmode-patch')) return;
+            let rules;
+            try {
+                rules = sheet.cssRules;
+            } catch (e) {
+                return; // Cross-origin stylesheet
+            }
+            const darkSheet = !!(sheet.media && NATIVE_DARK_MEDIA_PATTERN.test(sheet.media.mediaText));
+            if (darkSheet) Array.from(rules).forEach(rule => mediaCss.push(rule.cssText));
+            walk(rules, darkSheet);
+        });
+
+        let hook = null;
+        let best = 0;
+        hookCounts.forEach((count, key) => {
+            if (count >= NATIVE_MIN_HOOK_RULES && count > best) {
+                const [type, name, target] = key.split('|');
+                hook = { type, name, target, rules: count };
+                best = count;
+            }
+        });
+        return { mediaRules, mediaCss: mediaCss.join('\n'), hook };
+    }
+
+    // { type: 'class' | 'attribute', name, target: 'html' | 'body' } for a dark theme selector, or null
+    static matchHook(selector) {
+        let classMatch = selector.match(NATIVE_CLASS_HOOK_PATTERN);
+        if (classMatch && !NATIVE_DARK_CLASS_NAME.test(classMatch[2])) classMatch = null;
+        const match = classMatch || selector.match(NATIVE_ATTRIBUTE_HOOK_PATTERN);
+        if (!match) return null;
+        const [, rootName, name, rest] = match;
+        // The hook must scope the page, alone or followed by a descendant selector;
+        // compounds such as `.dark.button` or `.dark:hover` style a component instead
+        if (rest !== '' && !/^[\s>~+]/.test(rest)) return null;
+        return {
+            type: classMatch ? 'class' : 'attribute',
+            name,
+            target: rootName && rootName.toLowerCase() === 'body' ? 'body' : 'html'
+        };
+    }
+
+    // Use the site's own dark mode; false if it has none or the user excluded the site
+    enable() {
+        const { strategy, hook } = this.getDetection();
+        if (!this.preferNative || !strategy) return false;
+        if (this.applied) return true;
+
+        if (strategy === 'hook') {
+            const target = hook.target === 'body' ? document.body : document.documentElement;
+            if (!target) return false;
+            if (hook.type === 'class') {
+                this.previousHookValue = target.classList.contains(hook.name);
+                target.classList.add(hook.name);
+            } else {
+                this.previousHookValue = target.getAttribute(hook.name);
+                target.setAttribute(hook.name, 'dark');
+            }
+        } else if (strategy === 'media') {
+            this.styleElement = document.createElement('style');
+            this.styleElement.setAttribute(NATIVE_ATTRIBUTE, 'media');
+            this.styleElement.textContent = this.mediaCss;
+            (document.head || document.documentElement).appendChild(this.styleElement);
+        }
+        this.applied = strategy;
+        document.documentElement.setAttribute(NATIVE_ATTRIBUTE, strategy);
+        console.info('[Native Dark Mode] Using the site\'s own dark mode:', strategy, hook || '');
+        return true;
+    }
+
+    disable() {
+        if (!this.applied) return;
+        const { hook } = this.getDetection();
+        if (this.applied === 'hook') {
+            const target = hook.target === 'body' ? document.body : document.documentElement;
+            if (target && hook.type === 'class' && !this.previousHookValue) target.classList.remove(hook.name);
+            if (target && hook.type === 'attribute') {
+                if (this.previousHookValue === null) target.removeAttribute(hook.name);
+                else target.setAttribute(hook.name, this.previousHookValue);
+            }
+        }
+        if (this.styleElement) this.styleElement.remove();
+        this.styleElement = null;
+        this.applied = null;
+        document.documentElement.removeAttribute(NATIVE_ATTRIBUTE);
+        console.info('[Native Dark Mode] Stopped using the site\'s own dark mode');
+    }
+
+    isApplied() {
+        return !!this.applied;
+    }
+
+    getStatus() {
+        return { ...this.getDetection(), applied: this.applied, preferNative: this.preferNative };
+    }
+}
+
+NativeDarkMode.STORAGE_KEY = 'nativeDarkModeRules';
+NativeDarkMode.RULE_USE_EXTENSION = 'off';
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NativeDarkMode;
+} else if (typeof window !== 'undefined') {
+    window.NativeDarkMode = NativeDarkMode;
+    // One per page, shared by add-dark-class.js and content.js
+    window.darkModeNative = window.darkModeNative || new NativeDarkMode();
+}
@@ -0,0 +1,110 @@
+/*
+  Theme Palette: Universal Dark Mode Extension
+  --------------------------------------------
+  The dark colors every generator uses, as named roles exposed to pages as
+  CSS custom properties (--udm-*). Generated CSS (dark-theme.css, the menu
+  fixers, learned patterns, the proxy's rules and LLM patches) refers to the
+  properties with var(), so changing the palette restyles every fix at once.
+  The user picks a preset and may override single roles in the side panel;
+  the choice is kept in storage.sync under `themePalette` as
+  { preset, custom: { [role]: '#rrggbb' } }.
+  Loaded by the background worker, the content scripts, the popup and the
+  proxy (server.js).
+*/
+
+const PALETTE_ROLES = {
+    background: { variable: '--udm-background', label: 'Background' },
+    surface: { variable: '--udm-surface', label: 'Surface' },
+    surfaceElevated: { variable: '--udm-surface-elevated', label: 'Elevated surface' },
+    text: { variable: '--udm-text', label: 'Text' },
+    textMuted: { variable: '--udm-text-muted', label: 'Muted text' },
+    link: { variable: '--udm-link', label: 'Link' },
+    border: { variable: '--udm-border', label: 'Border' },
+    accent: { variable: '--udm-accent', label: 'Accent' }
+};
+
+const PALETTE_PRESETS = {
+    neutral: {
+        label: 'Neutral gray',
+        colors: {
+            background: '#18191a', surface: '#222222', surfaceElevated: '#333333', text: '#e4e6eb',
+            textMuted: '#b0b3b8', link: '#58a6ff', border: '#444444', accent: '#2d88ff'
+        }
+    },
+    oled: {
+        label: 'OLED black',
+        colors: {
+            background: '#000000', surface: '#0a0a0a', surfaceElevated: '#1a1a1a', text: '#e6e6e6',
+            textMuted: '#a0a0a0', link: '#6cb6ff', border: '#2a2a2a', accent: '#3d8bfd'
+        }
+    },
+    'dim-blue': {
+        label: 'Dim blue',
+        colors: {
+            background: '#15202b', surface: '#192734', surfaceElevated: '#22303c', text: '#e1e8ed',
+            textMuted: '#8899a6', link: '#1da1f2', border: '#38444d', accent: '#1d9bf0'
+        }
+    },
+    'sepia-dark': {
+        label: 'Sepia dark',
+        colors: {
+            background: '#1f1b16', surface: '#29241d', surfaceElevated: '#352e25', text: '#e8dcc8',
+            textMuted: '#b3a48c', link: '#d9a45b', border: '#4a4033', accent: '#c98a3d'
+        }
+    }
+};
+
+const DEFAULT_PALETTE_PRESET = 'neutral';
+
+class ThemePalette {
+    // Stored settings with unknown presets, roles and malformed colors dropped
+    static normalizeSettings(settings) {
+        const preset = settings && PALETTE_PRESETS[settings.preset] ? settings.preset : DEFAULT_PALETTE_PRESET;
+        const custom = {};
+        Object.entries((settings && settings.custom) || {}).forEach(([role, color]) => {
+            if (PALETTE_ROLES[role] && /^#[0-9a-f]{6}$/i.test(color)) custom[role] = color.toLowerCase();
+        });
+        return { preset, custom };
+    }
+
+    // Colors for every role: the preset's, with the user's overrides applied
+    static resolve(settings) {
+        const { preset, custom } = ThemePalette.normalizeSettings(settings);
+        return { ...PALETTE_PRESETS[preset].colors, ...custom };
+    }
+
+    // var() reference for generated CSS; the fallback keeps it readable where the palette is not set
+    static cssVar(role) {
+        const definition = PALETTE_ROLES[role];
+        if (!definition) throw new Error(`Unknown palette role: ${role}`);
+        return `var(${definition.variable}, ${PALETTE_PRESETS[DEFAULT_PALETTE_PRESET].colors[role]})`;
+    }
+
+    // Custom property declarations for `colors`, scoped to `selector`
+    static toCssVariables(colors, selector = 'html.universal-dark-mode') {
+        const declarations = Object.entries(PALETTE_ROLES)
+            .map(([role, { variable }]) => `    ${variable}: ${colors[role]};`)
+            .join('\n');
+        return `${selector} {\n${declarations}\n}`;
+    }
+
+    // Lines for LLM prompts: which custom property to use for what, with the current value
+    static describeForPrompt(colors = PALETTE_PRESETS[DEFAULT_PALETTE_PRESET].colors) {
+        const lines = Object.entries(PALETTE_ROLES)
+            .map(([role, { variable, label }]) => `- ${label}: var(${variable}) (currently ${colors[role]})`)
+            .join('\n');
+        return `Use the user's dark palette through these CSS custom properties instead of literal colors:\n${lines}`;
+    }
+}
+
+ThemePalette.ROLES = PALETTE_ROLES;
+ThemePalette.PRESETS = PALETTE_PRESETS;
+ThemePalette.DEFAULT_PRESET = DEFAULT_PALETTE_PRESET;
+ThemePalette.STORAGE_KEY = 'themePalette';
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemePalette;
+} else if (typeof window !== 'undefined') {
+    window.ThemePalette = ThemePalette;
+}
@@ -0,0 +1,273 @@
+/*
+  Patch Library: Universal Dark Mode Extension
+  --------------------------------------------
+  Persists CSS patches the user has approved, keyed by origin and URL
+  pattern, in extension storage. This script runs at document_start so
+  approved patches are replayed before the page is first painted instead
+  of being regenerated by Gemini on every visit.
+*/
+
+class PatchLibrary {
+    constructor() {
+        this.storageKey = 'darkmode_patch_library';
+        this.maxPatchesPerOrigin = 50; // Oldest unrated patches are dropped first
+        this.layerKeyPrefix = 'library:';
+    }
+
+    // chrome.storage / browser.storage depending on the browser
+    getStorageApi() {
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            return chrome.storage;
+        }
+        if (typeof browser !== 'undefined' && browser.storage) {
+            return browser.storage;
+        }
+        return null;
+    }
+
+    // Load the whole library: { [origin]: [patch, ...] }
+    async loadLibrary() {
+        const storage = this.getStorageApi();
+        if (!storage) return {};
+        try {
+            const result = await storage.local.get([this.storageKey]);
+            return result[this.storageKey] || {};
+        } catch (error) {
+            console.error('[Patch Library] Error loading library:', error);
+            return {};
+        }
+    }
+
+    async saveLibrary(library) {
+        const storage = this.getStorageApi();
+        if (!storage) return;
+        await storage.local.set({ [this.storageKey]: library });
+    }
+
+    extractOrigin(url) {
+        try {
+            return new URL(url).origin;
+        } catch {
+            return null;
+        }
+    }
+
+    // Build a URL pattern for a page: path segments that look like ids become wildcards
+    // so a fix approved on /issues/123 also applies to /issues/456.
+    urlPatternFor(url) {
+        try {
+            const parsed = new URL(url);
+            const segments = parsed.pathname.split('/').map(segment => {
+                if (/\d/.test(segment) || segment.length > 32) {
+                    return '*';
+                }
+                return segment;
+            });
+            return parsed.origin + segments.join('/');
+        } catch {
+            return null;
+        }
+    }
+
+    // Glob match where * matches any run of characters except /
+    matchesUrlPattern(pattern, url) {
+        if (!pattern) return false;
+        try {
+            const parsed = new URL(url);
+            const target = parsed.origin + parsed.pathname;
+            const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*') + '/?$');
+            return regex.test(target);
+        } catch {
+            return false;
+        }
+    }
+
+    // Patches for a URL; by default only the ones the user rated up are returned
+    async getPatchesForUrl(url, options = {}) {
+        const ratedUpOnly = options.ratedUpOnly !== false;
+        const origin = this.extractOrigin(url);
+        if (!origin) return [];
+
+        const library = await this.loadLibrary();
+        return (library[origin] || []).filter(patch =>
+            (!ratedUpOnly || patch.ratedUp) && this.matchesUrlPattern(patch.urlPattern, url)
+        );
+    }
+
+    // Save (or update) a patch for the page it was applied on
+    async savePatch({ css, url, elementInfo, source, ratedUp, urlPattern }) {
+        const origin = this.extractOrigin(url);
+        if (!css || !origin) {
+            throw new Error('A CSS patch and a page URL are required');
+        }
+
+        const library = await this.loadLibrary();
+        const patches = library[origin] || [];
+        const pattern = urlPattern || this.urlPatternFor(url);
+        const now = Date.now();
+
+        let patch = patches.find(existing => existing.css === css && existing.urlPattern === pattern);
+        if (patch) {
+            patch.ratedUp = !!ratedUp;
+            patch.updatedAt = now;
+            if (elementInfo) {
+                patch.elementInfo = this.normalizeElementInfo(elementInfo);
+            }
+        } else {
+            patch = {
+                id: 'patch_' + now.toString(36) + '_' + Math.random().toString(36).slice(2, 8),
+                css,
+                urlPattern: pattern,
+                elementInfo: this.normalizeElementInfo(elementInfo),
+                source: source || 'element-fix',
+                ratedUp: !!ratedUp,
+                createdAt: now,
+                updatedAt: now
+            };
+            patches.push(patch);
+        }
+
+        library[origin] = this.prunePatches(patches);
+        await this.saveLibrary(library);
+        console.debug('[Patch Library] Patch saved:', origin, patch);
+        return patch;
+    }
+
+    // Record a rating for a stored patch, matched by CSS on the current page's pattern
+    async setRating(url, css, ratedUp) {
+        const origin = this.extractOrigin(url);
+        if (!origin) return null;
+
+        const library = await this.loadLibrary();
+        const patch = (library[origin] || []).find(existing =>
+            existing.css === css && this.matchesUrlPattern(existing.urlPattern, url)
+        );
+        if (!patch) return null;
+
+        patch.ratedUp = !!ratedUp;
+        patch.updatedAt = Date.now();
+        await this.saveLibrary(library);
+        return patch;
+    }
+
+    async removePatch(url, patchId) {
+        const origin = this.extractOrigin(url);
+        if (!origin) return false;
+
+        const library = await this.loadLibrary();
+        const patches = library[origin] || [];
+        const remaining = patches.filter(patch => patch.id !== patchId);
+        if (remaining.length === patches.length) return false;
+
+        library[origin] = remaining;
+        await this.saveLibrary(library);
+        return true;
+    }
+
+    // Merge a library from a learning bundle. Patches are matched by origin, URL pattern and CSS
+    // (as in savePatch); for a match, the more recently updated copy wins.
+    async importLibrary(incoming) {
+        const library = await this.loadLibrary();
+        const summary = { added: 0, updated: 0, duplicates: 0 };
+        const patchKey = patch => `${patch.urlPattern}\n${patch.css}`;
+
+        Object.entries(incoming || {}).forEach(([origin, patches]) => {
+            if (this.extractOrigin(origin) !== origin || !Array.isArray(patches)) return;
+            const valid = patches.filter(patch => patch && patch.css && this.matchesOrigin(patch.urlPattern, origin));
+            const result = LearningBundle.mergeRecords(library[origin], valid, patchKey);
+            library[origin] = this.prunePatches(result.records);
+            summary.added += result.added;
+            summary.updated += result.updated;
+            summary.duplicates += result.duplicates;
+        });
+
+        await this.saveLibrary(library);
+        return summary;
+    }
+
+    // Imported URL patterns must stay on the origin they are filed under
+    matchesOrigin(urlPattern, origin) {
+        return typeof urlPattern === 'string' && (urlPattern === origin || urlPattern.startsWith(origin + '/'));
+    }
+
+    // Only keep what is needed to find the element again
+    normalizeElementInfo(elementInfo) {
+        if (!elementInfo) return null;
+        return {
+            tag: elementInfo.tag || '',
+            xpath: elementInfo.xpath || '',
+            classes: Array.isArray(elementInfo.classes) ? elementInfo.classes : []
+        };
+    }
+
+    // Keep rated-up patches first, then the most recent ones, up to the per-origin limit
+    prunePatches(patches) {
+        if (patches.length <= this.maxPatchesPerOrigin) return patches;
+        return patches
+            .slice()
+            .sort((a, b) => (b.ratedUp - a.ratedUp) || (b.updatedAt - a.updatedAt))
+            .slice(0, this.maxPatchesPerOrigin);
+    }
+
+    // Mirrors the background's site rule resolution: per-origin rule first, then the global toggle
+    async isThemeEnabledForUrl(url) {
+        const storage = this.getStorageApi();
+        if (!storage) return false;
+        try {
+            const result = await storage.sync.get(['darkModeEnabled', 'siteRules']);
+            const rule = (result.siteRules || {})[this.extractOrigin(url)];
+            if (rule === 'on') return true;
+            if (rule === 'off') return false;
+            return !!result.darkModeEnabled;
+        } catch (error) {
+            console.debug('[Patch Library] Could not read theme state:', error);
+            return false;
+        }
+    }
+
+    // Add every approved patch for this page as a layer in the shared patch stack.
+    // Layers are keyed by patch id, so calling this repeatedly is safe.
+    async replay(url = window.location.href) {
+        const patchManager = window.darkModePatches;
+        if (!patchManager || !(await this.isThemeEnabledForUrl(url))) {
+            return [];
+        }
+
+        const patches = await this.getPatchesForUrl(url);
+        patches.forEach(patch => {
+            if (patchManager.findLayerByKey(this.layerKeyPrefix + patch.id)) return;
+
+            patchManager.addLayer({
+                css: patch.css,
+                source: patch.source,
+                key: this.layerKeyPrefix + patch.id,
+                elementInfo: patch.elementInfo,
+                persisted: true,
+                recordHistory: false
+            });
+        });
+
+        if (patches.length > 0) {
+            console.debug(`[Patch Library] Replayed ${patches.length} approved patches`);
+        }
+        return patches;
+    }
+
+    clearReplayed() {
+        if (window.darkModePatches) {
+            window.darkModePatches.removeAll(layer => layer.persisted);
+        }
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatchLibrary;
+} else if (typeof window !== 'undefined') {
+    window.PatchLibrary = PatchLibrary;
+
+    // Replay approved patches as early as possible
+    new PatchLibrary().replay().catch(error => {
+        console.debug('[Patch Library] Replay failed:', error);
+    });
+}
@@ -0,0 +1,273 @@
+/*
+  Patch Manager: Universal Dark Mode Extension
+  --------------------------------------------
+  Keeps every CSS patch applied to the page as its own layer (one <style>
+  element per patch) instead of a single overwritten style tag, so the
+  auto menu fixer, Gemini element fixes, chat patches and learned patterns
+  can coexist and be enabled, disabled or removed individually.
+  Changes made on behalf of the user are recorded in an undo/redo history
+  for the lifetime of the page (i.e. per tab).
+*/
+
+class PatchManager {
+    constructor() {
+        this.layers = new Map(); // id -> layer
+        this.knownSources = ['auto-menu', 'element-fix', 'chat', 'learned-pattern'];
+        this.nextLayerNumber = 1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 50;
+    }
+
+    // Add a layer, or replace the CSS of the existing layer with the same key.
+    // Keys let repeated fixes for the same target (e.g. one auto-fixed menu) update in place.
+    // Pass recordHistory: false for automatic patches that should not be undoable.
+    addLayer({ css, source, key, label, elementInfo, persisted, recordHistory = true }) {
+        if (!css || typeof css !== 'string') {
+            throw new Error('A CSS string is required to add a patch layer');
+        }
+
+        const existing = key ? this.findLayerByKey(key) : null;
+        if (existing) {
+            if (existing.css !== css) {
+                if (recordHistory) {
+                    this.recordChange({ action: 'update', layerId: existing.id, previousCss: existing.css, css });
+                }
+                existing.css = css;
+                existing.updatedAt = Date.now();
+                this.renderLayer(existing);
+            }
+            return this.describeLayer(existing);
+        }
+
+        const now = Date.now();
+        const layer = {
+            id: 'layer-' + (this.nextLayerNumber++) + '-' + now.toString(36),
+            key: key || null,
+            source: source || 'chat',
+            label: label || this.defaultLabel(source, elementInfo),
+            css,
+            elementInfo: elementInfo || null,
+            persisted: !!persisted,
+            enabled: true,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        if (!this.knownSources.includes(layer.source)) {
+            console.debug('[Patch Manager] Layer added with custom source:', layer.source);
+        }
+
+        this.layers.set(layer.id, layer);
+        this.renderLayer(layer);
+        if (recordHistory) {
+            this.recordChange({ action: 'add', layerId: layer.id, layer: { ...layer } });
+        }
+        console.debug('[Patch Manager] Layer added:', layer.id, layer.source);
+        return this.describeLayer(layer);
+    }
+
+    findLayerByKey(key) {
+        for (const layer of this.layers.values()) {
+            if (layer.key === key) return layer;
+        }
+        return null;
+    }
+
+    getLayer(id) {
+        const layer = this.layers.get(id);
+        return layer ? this.describeLayer(layer) : null;
+    }
+
+    setLayerEnabled(id, enabled, options = {}) {
+        const layer = this.layers.get(id);
+        if (!layer) return false;
+        if (layer.enabled === !!enabled) return true;
+
+        if (options.recordHistory !== false) {
+            this.recordChange({ action: 'toggle', layerId: id, enabled: !!enabled });
+        }
+        layer.enabled = !!enabled;
+        layer.updatedAt = Date.now();
+        this.renderLayer(layer);
+        return true;
+    }
+
+    removeLayer(id, options = {}) {
+        const layer = this.layers.get(id);
+        if (!layer) return false;
+
+        if (options.recordHistory !== false) {
+            this.recordChange({ action: 'remove', layerId: id, layer: { ...layer } });
+        }
+        const style = this.findStyleElement(id);
+        if (style) style.remove();
+        this.layers.delete(id);
+        console.debug('[Patch Manager] Layer removed:', id);
+        return true;
+    }
+
+    // Remove every layer, or only those matching a filter function.
+    // Used when dark mode is switched off, so it never touches the history.
+    removeAll(filter) {
+        Array.from(this.layers.values())
+            .filter(layer => !filter || filter(layer))
+            .forEach(layer => this.removeLayer(layer.id, { recordHistory: false }));
+    }
+
+    // Put a previously removed layer back under its original id
+    restoreLayer(snapshot) {
+        const layer = { ...snapshot, updatedAt: Date.now() };
+        this.layers.set(layer.id, layer);
+        this.renderLayer(layer);
+    }
+
+    // A new change invalidates anything that could be redone
+    recordChange(change) {
+        this.undoStack.push({ ...change, timestamp: Date.now() });
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    // Apply a history entry forwards (redo) or backwards (undo) without recording it again
+    applyChange(change, direction) {
+        const forward = direction === 'redo';
+        const quiet = { recordHistory: false };
+
+        switch (change.action) {
+            case 'add':
+                if (forward) this.restoreLayer(change.layer);
+                else this.removeLayer(change.layerId, quiet);
+                break;
+            case 'remove':
+                if (forward) this.removeLayer(change.layerId, quiet);
+                else this.restoreLayer(change.layer);
+                break;
+            case 'update': {
+                const layer = this.layers.get(change.layerId);
+                if (!layer) return false;
+                layer.css = forward ? change.css : change.previousCss;
+                layer.updatedAt = Date.now();
+                this.renderLayer(layer);
+                break;
+            }
+            case 'toggle':
+                return this.setLayerEnabled(change.layerId, forward ? change.enabled : !change.enabled, quiet);
+            default:
+                return false;
+        }
+        return true;
+    }
+
+    // Undo the most recent change; returns the change that was undone, or null
+    undo() {
+        const change = this.undoStack.pop();
+        if (!change) return null;
+
+        this.applyChange(change, 'undo');
+        this.redoStack.push(change);
+        console.debug('[Patch Manager] Undid change:', change.action, change.layerId);
+        return change;
+    }
+
+    // Redo the most recently undone change; returns it, or null
+    redo() {
+        const change = this.redoStack.pop();
+        if (!change) return null;
+
+        this.applyChange(change, 'redo');
+        this.undoStack.push(change);
+        console.debug('[Patch Manager] Redid change:', change.action, change.layerId);
+        return change;
+    }
+
+    // Summary of the history for the popup's undo/redo controls
+    getHistoryState() {
+        const describe = change => change ? {
+            action: change.action,
+            layerId: change.layerId,
+            label: (this.layers.get(change.layerId) || change.layer || {}).label || 'CSS patch'
+        } : null;
+
+        return {
+            canUndo: this.undoStack.length > 0,
+            canRedo: this.redoStack.length > 0,
+            nextUndo: describe(this.undoStack[this.undoStack.length - 1]),
+            nextRedo: describe(this.redoStack[this.redoStack.length - 1])
+        };
+    }
+
+    // Layers in the order they were applied, without the CSS body
+    listLayers() {
+        return Array.from(this.layers.values()).map(layer => this.describeLayer(layer));
+    }
+
+    describeLayer(layer) {
+        return {
+            id: layer.id,
+            key: layer.key,
+            source: layer.source,
+            label: layer.label,
+            enabled: layer.enabled,
+            persisted: layer.persisted,
+            elementInfo: layer.elementInfo,
+            cssLength: layer.css.length,
+            ruleCount: (layer.css.match(/\{/g) || []).length,
+            createdAt: layer.createdAt,
+            updatedAt: layer.updatedAt
+        };
+    }
+
+    defaultLabel(source, elementInfo) {
+        if (elementInfo && elementInfo.tag) {
+            return `${String(elementInfo.tag).toLowerCase()} fix`;
+        }
+        switch (source) {
+            case 'auto-menu': return 'Transparent menu fix';
+            case 'element-fix': return 'Element fix';
+            case 'learned-pattern': return 'Learned pattern';
+            case 'chat': return 'Chat patch';
+            default: return 'CSS patch';
+        }
+    }
+
+    findStyleElement(id) {
+        return document.querySelector(`style[data-darkmode-patch="${id}"]`);
+    }
+
+    // Create or refresh the <style> element for a layer. Disabled layers keep their
+    // element (so order is preserved when re-enabled) but never match any media.
+    renderLayer(layer) {
+        let style = this.findStyleElement(layer.id);
+        if (!style) {
+            style = document.createElement('style');
+            style.setAttribute('data-darkmode-patch', layer.id);
+            // <head> may not exist yet when patches are replayed at document_start
+            (document.head || document.documentElement).appendChild(style);
+        }
+
+        style.setAttribute('data-source', layer.source);
+        if (style.textContent !== layer.css) {
+            style.textContent = layer.css;
+        }
+
+        if (layer.enabled) {
+            style.removeAttribute('media');
+            style.removeAttribute('data-darkmode-patch-disabled');
+        } else {
+            style.setAttribute('media', 'not all');
+            style.setAttribute('data-darkmode-patch-disabled', 'true');
+        }
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatchManager;
+} else {
+    window.PatchManager = PatchManager;
+    // One shared stack per page, used by every content script
+    window.darkModePatches = window.darkModePatches || new PatchManager();
+}
@@ -27,6 +27,9 @@ const browserAPI = (function() {
     }
 })();
 
+// Learning data (feedback, fix tracking...) is kept in the background's learning store
+const learningStore = new LearningStoreClient();
+
 // Global variables
 let reportTimeout;
 let realTimeAnalysisInterval;
@@ -110,25 +113,37 @@ async function initializePopup() {
     // Initialize toggle state
     await initializeToggle();
     
+    // Initialize the per-site rule control next to the toggle
+    await initializeSiteRuleControl();
+    
     // Initialize button handlers
     initializeButtons();
     
     // Initialize message listeners
     initializeMessageListeners();
     
-    // Initialize analytics
+    // Fix tracking used to be kept in the popup's own localStorage
     try {
-        renderFeedbackAnalytics();
+        await learningStore.migrateFromLocalStorage();
     } catch (error) {
-        console.debug('[Popup] Could not initialize feedback analytics:', error);
+        console.debug('[Popup] Learning data migration failed:', error);
     }
     
+    // Initialize analytics
+    renderFeedbackAnalytics();
+    
     // Initialize AI learning analytics
-    try {
-        renderAILearningAnalytics();
-    } catch (error) {
-        console.debug('[Popup] Could not initialize AI learning analytics:', error);
-    }
+    renderAILearningAnalytics();
+    renderMenuModelInfo();
+    
+    // List the patch layers applied to the current tab
+    renderPatchLayers();
+    
+    // Palette preset picker and custom color editor
+    initializePaletteEditor();
+    
+    // Brightness, contrast, sepia and grayscale sliders
+    initializeFilterControls();
     
     // Initialize chatbot
     initializeChatbot();
@@ -188,9 +203,13 @@ async function initializeToggle() {
             // Send message to content script
             const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
             if (tab && tab.url && (tab.url.startsWith('http') || tab.url.startsWith('https'))) {
+                // A per-site rule may keep this page on (or off) regardless of the global switch
+                const siteState = await getSiteThemeState(tab.url);
+                const pageEnabled = siteState ? siteState.effectiveEnabled : isEnabled;
+                
                 browserAPI.tabs.sendMessage(tab.id, {
                     type: 'TOGGLE_DARK_MODE',
-                    enabled: isEnabled
+                    enabled: pageEnabled
                 }, (response) => {
                     if (browserAPI.runtime.lastError) {
                         console.error('[Popup] Could not connect to content script:', browserAPI.runtime.lastError.message);
@@ -209,10 +228,14 @@ async function initializeToggle() {
                         
                         // Show success message
                         showNotification(`Dark mode ${isEnabled ? 'enabled' : 'disabled'}`, 'success');
-                        addChatMessage('System', `🌙 Dark mode ${isEnabled ? 'enabled' : 'disabled'} for this page`, 'system');
+                        if (pageEnabled !== isEnabled) {
+                            addChatMessage('System', `🌙 Dark mode ${isEnabled ? 'enabled' : 'disabled'} globally, but this site is set to always ${pageEnabled ? 'on' : 'off'}`, 'system');
+                        } else {
+                            addChatMessage('System', `🌙 Dark mode ${isEnabled ? 'enabled' : 'disabled'} for this page`, 'system');
+                        }
                         
                         // Trigger immediate analysis if enabled
-                        if (isEnabled) {
+                        if (pageEnabled) {
                             triggerRealTimeAnalysis();
                         }
                     }
@@ -241,15 +264,199 @@ async function initializeToggle() {
     });
 }
 
+// Ask the background script for the site rule and effective state of a URL
+async function getSiteThemeState(url) {
+    try {
+        const response = await sendToBackgroundWithTimeout({ type: 'GET_SITE_RULE', url: url }, 5000);
+        return response && response.success ? response : null;
+    } catch (error) {
+        console.debug('[Popup] Could not get site rule:', error);
+        return null;
+    }
+}
+
+// Per-site rule control: follow the global toggle, or force dark mode on/off for the current origin
+async function initializeSiteRuleControl() {
+    const siteRuleSelect = document.getElementById('site-rule');
+    if (!siteRuleSelect) {
+        console.error('[Popup] Site rule control not found');
+        return;
+    }
+    
+    let tab;
+    try {
+        [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+    } catch (error) {
+        console.error('[Popup] Error querying active tab for site rule:', error);
+        return;
+    }
+    
+    const pageType = getPageType(tab?.url);
+    if (pageType !== 'web') {
+        siteRuleSelect.title = getUnsupportedPageMessage(pageType);
+        return;
+    }
+    
+    const siteState = await getSiteThemeState(tab.url);
+    if (!siteState) {
+        siteRuleSelect.title = 'Site rules are unavailable right now';
+        return;
+    }
+    
+    initializeContentSharingControl(tab, siteState);
+    initializeNativeDarkModeControl(tab, siteState);
+    
+    siteRuleSelect.value = siteState.rule;
+    siteRuleSelect.title = `Dark mode rule for ${siteState.origin}`;
+    siteRuleSelect.disabled = false;
+    let currentRule = siteState.rule;
+    
+    siteRuleSelect.addEventListener('change', async () => {
+        const rule = siteRuleSelect.value;
+        console.debug('[Popup] Site rule changed:', rule);
+        
+        try {
+            const response = await sendToBackgroundWithTimeout({
+                type: 'SET_SITE_RULE',
+                url: tab.url,
+                rule: rule
+            }, 5000);
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+            currentRule = rule;
+            
+            // Keep the content script in sync with the new effective state
+            browserAPI.tabs.sendMessage(tab.id, {
+                type: 'TOGGLE_DARK_MODE',
+                enabled: response.effectiveEnabled
+            }, () => {
+                if (browserAPI.runtime.lastError) {
+                    console.debug('[Popup] Could not notify content script of site rule:', browserAPI.runtime.lastError.message);
+                }
+            });
+            
+            const ruleLabels = {
+                global: 'follows the global setting',
+                on: 'always uses dark mode',
+                off: 'never uses dark mode'
+            };
+            showNotification(`${response.origin} ${ruleLabels[rule]}`, 'success');
+            addChatMessage('System', `🌐 ${response.origin} ${ruleLabels[rule]}`, 'system');
+        } catch (error) {
+            console.error('[Popup] Error saving site rule:', error);
+            showNotification('Could not save the rule for this site', 'error');
+            siteRuleSelect.value = currentRule;
+        }
+        
+        updatePageStatusIndicator();
+    });
+}
+
+// Per-site choice between the site's own dark mode (detected by native-dark-mode.js) and ours.
+// Open tabs of the site switch over by themselves through storage.onChanged.
+function initializeNativeDarkModeControl(tab, siteState) {
+    const preferNativeCheckbox = document.getElementById('prefer-native-dark-mode');
+    if (!preferNativeCheckbox) {
+        console.error('[Popup] Native dark mode control not found');
+        return;
+    }
+    
+    preferNativeCheckbox.checked = siteState.preferNativeDarkMode !== false;
+    preferNativeCheckbox.title = `Dark mode source for ${siteState.origin}`;
+    preferNativeCheckbox.disabled = false;
+    
+    preferNativeCheckbox.addEventListener('change', async () => {
+        const preferNative = preferNativeCheckbox.checked;
+        console.debug('[Popup] Native dark mode preference changed:', preferNative);
+        
+        try {
+            const response = await sendToBackgroundWithTimeout({
+                type: 'SET_NATIVE_DARK_MODE',
+                url: tab.url,
+                preferNative: preferNative
+            }, 5000);
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+            
+            const message = preferNative
+                ? `${response.origin} uses its own dark mode when it has one`
+                : `${response.origin} always uses the extension's dark theme`;
+            showNotification(message, 'success');
+            addChatMessage('System', `🌓 ${message}`, 'system');
+        } catch (error) {
+            console.error('[Popup] Error saving native dark mode rule:', error);
+            showNotification('Could not save the dark mode source for this site', 'error');
+            preferNativeCheckbox.checked = !preferNative;
+        }
+    });
+}
+
+// Per-site privacy: when checked, only the element's structure and styles are sent for AI fixes,
+// never the page's text, markup or full URL
+function initializeContentSharingControl(tab, siteState) {
+    const neverSendCheckbox = document.getElementById('never-send-content');
+    if (!neverSendCheckbox) {
+        console.error('[Popup] Content sharing control not found');
+        return;
+    }
+    
+    neverSendCheckbox.checked = !!siteState.neverSendContent;
+    neverSendCheckbox.title = `Content sharing for ${siteState.origin}`;
+    neverSendCheckbox.disabled = false;
+    
+    neverSendCheckbox.addEventListener('change', async () => {
+        const neverSend = neverSendCheckbox.checked;
+        console.debug('[Popup] Content sharing changed, never send:', neverSend);
+        
+        try {
+            const response = await sendToBackgroundWithTimeout({
+                type: 'SET_CONTENT_SHARING',
+                url: tab.url,
+                neverSend: neverSend
+            }, 5000);
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+            
+            const message = neverSend
+                ? `${response.origin} content will not be sent to the AI`
+                : `${response.origin} content is redacted before it is sent to the AI`;
+            showNotification(message, 'success');
+            addChatMessage('System', `🔒 ${message}`, 'system');
+        } catch (error) {
+            console.error('[Popup] Error saving content sharing rule:', error);
+            showNotification('Could not save the privacy setting for this site', 'error');
+            neverSendCheckbox.checked = !neverSend;
+        }
+    });
+}
+
 // Initialize button handlers
 function initializeButtons() {
-    // Export Feedback button
+    // Export Data button
     const exportBtn = document.getElementById('export-feedback');
     if (exportBtn) {
-        exportBtn.addEventListener('click', handleExportFeedback);
-        console.debug('[Popup] Export feedback button handler attached');
+        exportBtn.addEventListener('click', handleExportLearningData);
+        console.debug('[Popup] Export data button handler attached');
     } else {
-        console.error('[Popup] Export feedback button not found');
+        console.error('[Popup] Export data button not found');
+    }
+
+    // Import Data button opens a file picker for a learning bundle
+    const importBtn = document.getElementById('import-learning-data');
+    const importInput = document.getElementById('import-learning-file');
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const [file] = importInput.files;
+            importInput.value = '';
+            if (file) handleImportLearningData(file);
+        });
     }
 
     // Report Issue button
@@ -260,6 +467,14 @@ function initializeButtons() {
     } else {
         console.error('[Popup] Report issue button not found');
     }
+
+    // Undo/redo buttons for the current tab's patch history
+    const undoBtn = document.getElementById('undo-patch');
+    const redoBtn = document.getElementById('redo-patch');
+    if (undoBtn && redoBtn) {
+        undoBtn.addEventListener('click', () => handlePatchHistory('UNDO_PATCH'));
+        redoBtn.addEventListener('click', () => handlePatchHistory('REDO_PATCH'));
+    }
 }
 
 // Initialize message listeners
@@ -282,50 +497,63 @@ function initializeMessageListeners() {
     });
 }
 
-// Export feedback functionality
-function handleExportFeedback() {
-    console.debug('[Popup] Export feedback button clicked');
+// Export everything learned on this machine as a versioned JSON bundle (learning-bundle.js)
+function handleExportLearningData() {
+    console.debug('[Popup] Export learning data clicked');
+    
+    browserAPI.runtime.sendMessage({ type: 'EXPORT_LEARNING_DATA' }, (response) => {
+        if (browserAPI.runtime.lastError || !response || !response.success) {
+            console.error('[Popup] Export failed:', browserAPI.runtime.lastError || (response && response.error));
+            showNotification('Could not export learning data', 'error');
+            return;
+        }
+        
+        const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `darkmode-learning-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        
+        // Cleanup
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 1000);
+    });
+}
+
+// Import a bundle exported on another machine, merging it into the local stores
+async function handleImportLearningData(file) {
+    console.debug('[Popup] Importing learning data from', file.name);
     
-    let arr = [];
+    let bundle;
     try {
-        arr = JSON.parse(localStorage.getItem('darkmode_feedback') || '[]');
+        bundle = LearningBundle.validate(JSON.parse(await file.text()));
     } catch (error) {
-        console.error('[Popup] Error reading feedback data:', error);
-    }
-    
-    if (!arr.length) {
-        alert('No feedback data to export.');
+        console.error('[Popup] Invalid learning data file:', error);
+        showNotification(error instanceof SyntaxError ? 'That file is not valid JSON' : error.message, 'error');
         return;
     }
-
-    // Create CSV format
-    const header = ['tag', 'classes', 'url', 'feedback', 'timestamp', 'fixed'];
-    const rows = arr.map(f => [
-        f.tag || '',
-        (f.classes || []).join('|'),
-        f.url || '',
-        f.feedback || '',
-        new Date(f.timestamp).toISOString(),
-        f.fixed || false
-    ]);
-    
-    const csv = header.join(',') + '\n' + 
-                rows.map(r => r.map(x => '"' + String(x).replace(/"/g, '""') + '"').join(',')).join('\n');
-    
-    // Download CSV file
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'darkmode-feedback-' + new Date().toISOString().split('T')[0] + '.csv';
-    document.body.appendChild(a);
-    a.click();
-    
-    // Cleanup
-    setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-    }, 1000);
+    
+    browserAPI.runtime.sendMessage({ type: 'IMPORT_LEARNING_DATA', bundle }, (response) => {
+        if (browserAPI.runtime.lastError || !response || !response.success) {
+            console.error('[Popup] Import failed:', browserAPI.runtime.lastError || (response && response.error));
+            showNotification('Could not import learning data', 'error');
+            return;
+        }
+        
+        const totals = Object.values(response.summary).reduce((sum, counts) => {
+            if (!counts || typeof counts !== 'object') return sum;
+            return { added: sum.added + counts.added, updated: sum.updated + counts.updated };
+        }, { added: 0, updated: 0 });
+        
+        showNotification(`Imported ${totals.added} new and ${totals.updated} updated records`, 'success');
+        addChatMessage('System', `📥 Learning data imported: ${totals.added} new, ${totals.updated} updated records.`, 'system');
+        renderFeedbackAnalytics();
+        renderAILearningAnalytics();
+    });
 }
 
 // Report issue functionality
@@ -546,8 +774,10 @@ async function sendChatToAI(userMessage) {
         // Remove typing indicator
         removeTempChatMessage();
         
-        if (response && response.success && response.reply) {
-            addChatMessage('AI Assistant', response.reply, 'assistant');
+        if (response && response.success && response.message) {
+            addChatMessage('AI Assistant', response.message, 'assistant');
+        } else if (response && response.rateLimited) {
+            addChatMessage('System', response.message, 'system');
         } else {
             addChatMessage('AI Assistant', '❌ Sorry, I couldn\'t process your message right now. Please try again.', 'assistant');
         }
@@ -1007,6 +1237,7 @@ async function performAutomaticElementAnalysis(elementData) {
         // Send comprehensive data to Gemini for automatic analysis and fix
         const geminiResponse = await sendToBackgroundWithTimeout({
             type: 'ANALYZE_AND_FIX_ELEMENT',
+            tabId: tab.id,
             elementData: {
                 ...elementData,
                 description: autoDescription,
@@ -1019,10 +1250,11 @@ async function performAutomaticElementAnalysis(elementData) {
         
         if (geminiResponse && geminiResponse.cssPatch) {
             // Apply the fix automatically
-            const cssApplied = await new Promise((resolve) => {
+            const appliedLayerId = await new Promise((resolve) => {
                 browserAPI.tabs.sendMessage(tab.id, {
                     type: 'inject-darkmode-css',
                     css: geminiResponse.cssPatch,
+                    source: 'element-fix',
                     elementInfo: {
                         tag: elementData.tag,
                         xpath: elementData.xpath,
@@ -1032,13 +1264,14 @@ async function performAutomaticElementAnalysis(elementData) {
                 }, (response) => {
                     if (browserAPI.runtime.lastError) {
                         console.error('[Popup] Error applying CSS patch:', browserAPI.runtime.lastError.message);
-                        resolve(false);
+                        resolve(null);
                     } else {
                         console.debug('[Popup] CSS patch applied successfully:', response);
-                        resolve(true);
+                        resolve(response && response.patchId);
                     }
                 });
             });
+            renderPatchLayers();
             
             // Show success feedback and ask for user verification
             const issuesSummary = elementData.detectedIssues && elementData.detectedIssues.length > 0 
@@ -1050,6 +1283,8 @@ async function performAutomaticElementAnalysis(elementData) {
                 <div style="margin: 8px 0; padding: 8px; background: rgba(40,167,69,0.1); border-radius: 4px; font-size: 12px;">
                     <div><strong>Element:</strong> ${elementData.tag} (${elementData.elementType || 'element'})</div>
                     <div><strong>Issues Fixed:</strong> ${issuesSummary}</div>
+                    ${formatResolution(geminiResponse.resolution)}
+                    ${geminiResponse.needsVerification ? `<div style="margin-top: 8px; color: #ffc107;">🔎 Accuracy focus: this fix has low confidence, please check it and rate it below</div>` : ''}
                     <div style="margin-top: 8px; color: #28a745;">🎯 Applied ${geminiResponse.cssPatch.split('\n').length} CSS rules</div>
                 </div>
                 <div style="margin-top: 12px; text-align: center;">
@@ -1064,10 +1299,11 @@ async function performAutomaticElementAnalysis(elementData) {
             `);
             
             // Add detailed success message to chat
-            addChatMessage('AI Assistant', `🤖 **Automatic Dark Mode Fix Applied**\n\n**Element:** ${elementData.tag} (${elementData.elementType || 'element'})\n**Auto-detected Issues:** ${issuesSummary}\n\n**Applied CSS Fix:**\n\`\`\`css\n${geminiResponse.cssPatch}\n\`\`\`\n\n💬 **Please let me know how the fix looks!** Use the buttons above or tell me in chat.`, 'assistant');
+            const sourceLabel = geminiResponse.resolution ? RESOLUTION_LABELS[geminiResponse.resolution.source] || geminiResponse.resolution.source : null;
+            addChatMessage('AI Assistant', `🤖 **Automatic Dark Mode Fix Applied**\n\n**Element:** ${elementData.tag} (${elementData.elementType || 'element'})\n**Auto-detected Issues:** ${issuesSummary}\n${sourceLabel ? `**Fix Source:** ${sourceLabel}\n` : ''}\n**Applied CSS Fix:**\n\`\`\`css\n${geminiResponse.cssPatch}\n\`\`\`\n\n💬 **Please let me know how the fix looks!** Use the buttons above or tell me in chat.`, 'assistant');
             
             // Setup feedback buttons
-            setupFeedbackButtons(elementData, geminiResponse);
+            setupFeedbackButtons(elementData, geminiResponse, appliedLayerId);
             
         } else if (geminiResponse && geminiResponse.message) {
             // Show analysis without fix
@@ -1108,14 +1344,17 @@ async function performAutomaticElementAnalysis(elementData) {
             document.getElementById('manual-report').onclick = () => showManualReportForm(elementData);
         }
         
-        // Auto-close modal after 10 seconds unless user interacts
-        setTimeout(() => {
-            const feedbackModal = document.getElementById('feedback-modal');
-            if (feedbackModal && feedbackModal.style.display === 'block') {
-                hideFeedbackModal();
-                addChatMessage('System', '💭 Analysis complete. Let me know if you need any adjustments to the fix!', 'system');
-            }
-        }, 10000);
+        // Auto-close modal after 10 seconds unless user interacts; fixes that need
+        // verification (accuracy focus mode) stay open until they are rated
+        if (!(geminiResponse && geminiResponse.needsVerification)) {
+            setTimeout(() => {
+                const feedbackModal = document.getElementById('feedback-modal');
+                if (feedbackModal && feedbackModal.style.display === 'block') {
+                    hideFeedbackModal();
+                    addChatMessage('System', '💭 Analysis complete. Let me know if you need any adjustments to the fix!', 'system');
+                }
+            }, 10000);
+        }
         
     } catch (error) {
         console.error('[Popup] Automatic element analysis error:', error);
@@ -1139,6 +1378,33 @@ async function performAutomaticElementAnalysis(elementData) {
     }
 }
 
+// Where an element fix came from (see the tiered pipeline in background.js)
+const RESOLUTION_LABELS = {
+    local_pattern: '🧠 Learned on this device',
+    local_domain_pattern: '🧠 Learned for this site on this device',
+    server_pattern: '🗂️ Pattern history on the server',
+    llm: '🤖 AI model'
+};
+
+// Escape text for the innerHTML templates of the Auto-Fix modal
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Source, confidence and reasoning lines for the Auto-Fix modal. The reasoning comes from the
+// proxy and may quote the reported element's tag and classes, so it is escaped.
+function formatResolution(resolution) {
+    if (!resolution) return '';
+    const label = escapeHtml(RESOLUTION_LABELS[resolution.source] || resolution.source);
+    const confidence = typeof resolution.confidence === 'number'
+        ? ` (${Math.round(resolution.confidence * 100)}% confidence)`
+        : '';
+    const reasoning = (resolution.reasoning || [])
+        .map(reason => `<div style="color: #6c757d;">• ${escapeHtml(reason)}</div>`)
+        .join('');
+    return `<div><strong>Fix Source:</strong> ${label}${confidence}</div>${reasoning}`;
+}
+
 // Generate automatic description based on element analysis
 function generateAutoDescription(elementData) {
     const issues = elementData.detectedIssues || [];
@@ -1162,7 +1428,7 @@ function generateAutoDescription(elementData) {
 }
 
 // Setup feedback buttons for user verification
-function setupFeedbackButtons(elementData, geminiResponse) {
+function setupFeedbackButtons(elementData, geminiResponse, appliedLayerId) {
     const goodBtn = document.getElementById('fix-good');
     const badBtn = document.getElementById('fix-bad');
     const partialBtn = document.getElementById('fix-partial');
@@ -1174,8 +1440,9 @@ function setupFeedbackButtons(elementData, geminiResponse) {
             addChatMessage('AI Assistant', '🎉 Great! I\'m glad the automatic fix worked well. If you find any other dark mode issues, just click "Report Issue" and select them!', 'assistant');
             hideFeedbackModal();
             
-            // Track successful fix
+            // Track successful fix and keep it for future visits
             trackFixSuccess(elementData, geminiResponse, 'positive');
+            savePatchToLibrary(elementData, geminiResponse);
         };
     }
     
@@ -1185,8 +1452,10 @@ function setupFeedbackButtons(elementData, geminiResponse) {
             addChatMessage('AI Assistant', '😔 I apologize that the automatic fix didn\'t work well. Can you describe what specific issues remain? I\'ll try to generate a better fix.', 'assistant');
             hideFeedbackModal();
             
-            // Track failed fix and ask for details
+            // Track failed fix, roll back the exact patch being rated and ask for details
             trackFixSuccess(elementData, geminiResponse, 'negative');
+            rateLibraryPatch(geminiResponse, false);
+            rollbackPatchLayer(appliedLayerId);
             setTimeout(() => showManualReportForm(elementData), 1000);
         };
     }
@@ -1199,6 +1468,7 @@ function setupFeedbackButtons(elementData, geminiResponse) {
             
             // Track partial fix
             trackFixSuccess(elementData, geminiResponse, 'partial');
+            rateLibraryPatch(geminiResponse, false);
             setTimeout(() => showManualReportForm(elementData), 1000);
         };
     }
@@ -1210,6 +1480,54 @@ function setupFeedbackButtons(elementData, geminiResponse) {
     }
 }
 
+// Save an approved patch to the per-site patch library so it is replayed on reload
+async function savePatchToLibrary(elementData, geminiResponse) {
+    try {
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+        
+        browserAPI.tabs.sendMessage(tab.id, {
+            type: 'SAVE_PATCH_TO_LIBRARY',
+            css: geminiResponse.cssPatch,
+            elementInfo: {
+                tag: elementData.tag,
+                xpath: elementData.xpath,
+                classes: elementData.classes
+            },
+            source: 'element-fix',
+            ratedUp: true
+        }, (response) => {
+            if (browserAPI.runtime.lastError) {
+                console.debug('[Popup] Could not save patch to library:', browserAPI.runtime.lastError.message);
+            } else if (response && response.status === 'ok') {
+                addChatMessage('System', '💾 Fix saved for this site and will be re-applied on future visits', 'system');
+            }
+        });
+    } catch (error) {
+        console.debug('[Popup] Error saving patch to library:', error);
+    }
+}
+
+// Update the rating of a patch that may already be stored in the library
+async function rateLibraryPatch(geminiResponse, ratedUp) {
+    try {
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+        
+        browserAPI.tabs.sendMessage(tab.id, {
+            type: 'RATE_LIBRARY_PATCH',
+            css: geminiResponse.cssPatch,
+            ratedUp: ratedUp
+        }, () => {
+            if (browserAPI.runtime.lastError) {
+                console.debug('[Popup] Could not rate library patch:', browserAPI.runtime.lastError.message);
+            }
+        });
+    } catch (error) {
+        console.debug('[Popup] Error rating library patch:', error);
+    }
+}
+
 // Show manual report form for additional feedback
 function showManualReportForm(elementData) {
     updateFeedbackModal(`
@@ -1265,6 +1583,7 @@ function showFixDetails(elementData, geminiResponse) {
             <div><strong>Classes:</strong> ${elementData.classes.join(', ') || 'none'}</div>
             <div><strong>Issues Fixed:</strong> ${elementData.detectedIssues.join(', ') || 'UI improvements'}</div>
             <div><strong>CSS Rules Applied:</strong> ${cssLines} lines, ${stylesModified} properties modified</div>
+            ${formatResolution(geminiResponse.resolution)}
         </div>
         <div style="margin: 8px 0;">
             <strong>Applied CSS:</strong>
@@ -1286,7 +1605,7 @@ function showFixDetails(elementData, geminiResponse) {
 }
 
 // Track fix success for analytics
-function trackFixSuccess(elementData, geminiResponse, feedback) {
+async function trackFixSuccess(elementData, geminiResponse, feedback) {
     console.debug('[Popup] Tracking fix feedback:', { elementData, feedback });
     
     // Store detailed feedback for analytics and learning
@@ -1301,21 +1620,19 @@ function trackFixSuccess(elementData, geminiResponse, feedback) {
         // Enhanced tracking
         automaticAnalysis: elementData.automated || false,
         userRefinement: elementData.refinement || false,
+        resolutionSource: geminiResponse.resolution ? geminiResponse.resolution.source : null,
+        ...(elementData.enhancedFeatures ? { features: elementData.enhancedFeatures } : {}),
         cssRulesCount: geminiResponse.cssPatch.split('\n').filter(line => line.includes(':')).length,
         successScore: feedback === 'positive' ? 1 : feedback === 'partial' ? 0.5 : 0
     };
     
-    // Store in localStorage for analytics
-    const existingRecords = JSON.parse(localStorage.getItem('darkmode_fix_tracking') || '[]');
-    existingRecords.push(fixRecord);
-    
-    // Keep only last 100 records
-    if (existingRecords.length > 100) {
-        existingRecords.splice(0, existingRecords.length - 100);
+    // Store for analytics (the learning store keeps the last 100 records)
+    try {
+        await learningStore.append('darkmode_fix_tracking', fixRecord);
+    } catch (error) {
+        console.error('[Popup] Could not store fix record:', error);
     }
     
-    localStorage.setItem('darkmode_fix_tracking', JSON.stringify(existingRecords));
-    
     // Send analytics to background for learning (if available)
     try {
         browserAPI.runtime.sendMessage({
@@ -1334,15 +1651,15 @@ function trackFixSuccess(elementData, geminiResponse, feedback) {
     
     // Auto-refresh analytics display
     try {
-        updateAnalyticsDisplay();
+        await updateAnalyticsDisplay();
     } catch (error) {
         console.debug('[Popup] Could not update analytics display:', error);
     }
 }
 
 // Auto-update analytics display after feedback
-function updateAnalyticsDisplay() {
-    const records = JSON.parse(localStorage.getItem('darkmode_fix_tracking') || '[]');
+async function updateAnalyticsDisplay() {
+    const records = await learningStore.query('darkmode_fix_tracking');
     
     if (records.length > 0) {
         const successRate = records.filter(r => r.successScore > 0.5).length / records.length;
@@ -1401,14 +1718,23 @@ function updatePageStatusIndicator() {
         }
         
         if (tab.url.startsWith('http') || tab.url.startsWith('https')) {
-            // Check if dark mode is enabled
-            browserAPI.storage.sync.get(['darkModeEnabled'], (result) => {
-                if (result.darkModeEnabled) {
+            // Check if dark mode is enabled for this site (global setting or per-site rule)
+            getSiteThemeState(tab.url).then(async (siteState) => {
+                let enabled;
+                if (siteState) {
+                    enabled = siteState.effectiveEnabled;
+                } else {
+                    const result = await browserAPI.storage.sync.get(['darkModeEnabled']);
+                    enabled = !!result.darkModeEnabled;
+                }
+                const ruleSuffix = siteState && siteState.rule !== 'global' ? ' (site rule)' : '';
+                
+                if (enabled) {
                     statusIndicator.style.color = '#28a745';
-                    statusText.textContent = 'Dark mode active';
+                    statusText.textContent = 'Dark mode active' + ruleSuffix;
                 } else {
                     statusIndicator.style.color = '#ffc107';
-                    statusText.textContent = 'Ready for dark mode';
+                    statusText.textContent = (ruleSuffix ? 'Dark mode off' : 'Ready for dark mode') + ruleSuffix;
                 }
             });
         } else {
@@ -1418,6 +1744,323 @@ function updatePageStatusIndicator() {
     });
 }
 
+// Send a message to the content script of the active tab and resolve with its response
+async function sendToActiveTab(message) {
+    const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.url || !tab.url.startsWith('http')) {
+        return null;
+    }
+    
+    return new Promise((resolve) => {
+        browserAPI.tabs.sendMessage(tab.id, message, (response) => {
+            if (browserAPI.runtime.lastError) {
+                console.debug('[Popup] Content script not reachable:', browserAPI.runtime.lastError.message);
+                resolve(null);
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
+
+// Remove the layer a negative rating refers to; the removal can be undone from the history
+async function rollbackPatchLayer(layerId) {
+    if (!layerId) return;
+    
+    const response = await sendToActiveTab({ type: 'ROLLBACK_PATCH_LAYER', layerId: layerId });
+    if (response && response.status === 'ok') {
+        addChatMessage('System', '↩️ The fix was rolled back. Use Undo in Applied Patches to bring it back.', 'system');
+    }
+    renderPatchLayers();
+}
+
+// Undo or redo the last patch change on the current tab
+async function handlePatchHistory(messageType) {
+    const response = await sendToActiveTab({ type: messageType });
+    if (response && response.status === 'ok' && response.change) {
+        showNotification(`${messageType === 'UNDO_PATCH' ? 'Undid' : 'Redid'} ${response.change.action} of a patch`, 'info', 2000);
+    } else if (response && response.status === 'ok') {
+        showNotification(`Nothing to ${messageType === 'UNDO_PATCH' ? 'undo' : 'redo'}`, 'info', 2000);
+    }
+    renderPatchLayers();
+}
+
+// Enable the undo/redo buttons according to the tab's patch history
+function updatePatchHistoryControls(history) {
+    const undoBtn = document.getElementById('undo-patch');
+    const redoBtn = document.getElementById('redo-patch');
+    if (!undoBtn || !redoBtn) return;
+    
+    undoBtn.disabled = !history || !history.canUndo;
+    redoBtn.disabled = !history || !history.canRedo;
+    undoBtn.title = history && history.nextUndo
+        ? `Undo ${history.nextUndo.action}: ${history.nextUndo.label} (Alt+Shift+Z)`
+        : 'Undo (Alt+Shift+Z)';
+    redoBtn.title = history && history.nextRedo
+        ? `Redo ${history.nextRedo.action}: ${history.nextRedo.label} (Alt+Shift+Y)`
+        : 'Redo (Alt+Shift+Y)';
+}
+
+// Theme palette editor: pick a preset (palette.js), then override single roles. Saved through the
+// background script; every tab's theme engine restyles itself from storage.onChanged.
+async function initializePaletteEditor() {
+    const presetSelect = document.getElementById('palette-preset');
+    const editor = document.getElementById('palette-editor');
+    const resetBtn = document.getElementById('palette-reset');
+    if (!presetSelect || !editor) {
+        console.error('[Popup] Palette editor not found');
+        return;
+    }
+    
+    Object.entries(ThemePalette.PRESETS).forEach(([id, preset]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = preset.label;
+        presetSelect.appendChild(option);
+    });
+    
+    let settings = ThemePalette.normalizeSettings(null);
+    try {
+        const response = await sendToBackgroundWithTimeout({ type: 'GET_THEME_PALETTE' }, 5000);
+        if (response && response.success) settings = response.settings;
+    } catch (error) {
+        console.debug('[Popup] Could not load theme palette:', error);
+    }
+    
+    const inputs = {};
+    Object.entries(ThemePalette.ROLES).forEach(([role, { label, variable }]) => {
+        const row = document.createElement('label');
+        row.className = 'palette-role';
+        row.title = variable;
+        const name = document.createElement('span');
+        name.textContent = label;
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.addEventListener('change', () => {
+            saveSettings({ preset: settings.preset, custom: { ...settings.custom, [role]: input.value } });
+        });
+        row.appendChild(name);
+        row.appendChild(input);
+        editor.appendChild(row);
+        inputs[role] = input;
+    });
+    
+    const render = () => {
+        const colors = ThemePalette.resolve(settings);
+        presetSelect.value = settings.preset;
+        Object.entries(inputs).forEach(([role, input]) => {
+            input.value = colors[role];
+            input.parentElement.classList.toggle('custom', role in settings.custom);
+        });
+        if (resetBtn) resetBtn.disabled = Object.keys(settings.custom).length === 0;
+    };
+    
+    async function saveSettings(next) {
+        try {
+            const response = await sendToBackgroundWithTimeout({ type: 'SET_THEME_PALETTE', settings: next }, 5000);
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+            settings = response.settings;
+        } catch (error) {
+            console.error('[Popup] Error saving theme palette:', error);
+            showNotification('Could not save the palette', 'error');
+        }
+        render();
+    }
+    
+    // Switching presets keeps custom colors; Reset drops them
+    presetSelect.addEventListener('change', () => {
+        saveSettings({ preset: presetSelect.value, custom: settings.custom });
+        showNotification(`${ThemePalette.PRESETS[presetSelect.value].label} palette applied`, 'success');
+    });
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => saveSettings({ preset: settings.preset, custom: {} }));
+    }
+    
+    render();
+}
+
+// Page filter sliders for every site or only the active tab's origin (theme-filters.js). Dragging
+// previews on the active tab; releasing saves through the background, which updates every affected tab.
+async function initializeFilterControls() {
+    const editor = document.getElementById('filters-editor');
+    const siteOnlyCheckbox = document.getElementById('filters-site-only');
+    const resetBtn = document.getElementById('filters-reset');
+    if (!editor || !siteOnlyCheckbox) {
+        console.error('[Popup] Filter controls not found');
+        return;
+    }
+    
+    let tab = null;
+    try {
+        [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+    } catch (error) {
+        console.debug('[Popup] Error querying active tab for filters:', error);
+    }
+    const isWebPage = getPageType(tab?.url) === 'web';
+    
+    let state = { global: ThemeFilters.defaults(), site: null, filters: ThemeFilters.defaults() };
+    try {
+        const response = await sendToBackgroundWithTimeout({ type: 'GET_THEME_FILTERS', url: tab?.url }, 5000);
+        if (response && response.success) state = response;
+    } catch (error) {
+        console.debug('[Popup] Could not load theme filters:', error);
+    }
+    
+    const inputs = {};
+    Object.entries(ThemeFilters.RANGES).forEach(([name, range]) => {
+        const row = document.createElement('label');
+        row.className = 'filter-control';
+        const label = document.createElement('span');
+        label.textContent = range.label;
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = 1;
+        const value = document.createElement('span');
+        value.className = 'filter-value';
+        input.addEventListener('input', () => {
+            value.textContent = `${input.value}%`;
+            previewFilters();
+        });
+        input.addEventListener('change', () => saveFilters(scope(), readInputs()));
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(value);
+        editor.appendChild(row);
+        inputs[name] = { input, value };
+    });
+    
+    const scope = () => (siteOnlyCheckbox.checked ? 'site' : 'global');
+    
+    const readInputs = () => {
+        const values = {};
+        Object.entries(inputs).forEach(([name, { input }]) => { values[name] = Number(input.value); });
+        return ThemeFilters.normalize(values);
+    };
+    
+    const render = () => {
+        const shown = siteOnlyCheckbox.checked ? (state.site || state.global) : state.global;
+        Object.entries(inputs).forEach(([name, { input, value }]) => {
+            input.value = shown[name];
+            value.textContent = `${shown[name]}%`;
+        });
+        if (resetBtn) resetBtn.disabled = ThemeFilters.isNeutral(shown);
+    };
+    
+    // Preview on the active tab only when it is the tab the edited values apply to
+    const previewFilters = () => {
+        if (!isWebPage || (!siteOnlyCheckbox.checked && state.site)) return;
+        sendToActiveTab({ type: 'APPLY_THEME_FILTERS', filters: readInputs() }).catch(error => {
+            console.debug('[Popup] Could not preview filters:', error);
+        });
+    };
+    
+    // scope 'site' with null filters drops this site's override
+    async function saveFilters(saveScope, filters) {
+        try {
+            const response = await sendToBackgroundWithTimeout({
+                type: 'SET_THEME_FILTERS',
+                url: tab?.url,
+                scope: saveScope,
+                filters
+            }, 5000);
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+            state = response;
+        } catch (error) {
+            console.error('[Popup] Error saving theme filters:', error);
+            showNotification('Could not save the page filters', 'error');
+        }
+        render();
+    }
+    
+    // Turning "only this site" on starts the site from the global values; turning it off drops the override
+    siteOnlyCheckbox.checked = !!state.site;
+    siteOnlyCheckbox.disabled = !isWebPage;
+    siteOnlyCheckbox.title = isWebPage
+        ? `Filters for ${state.origin} only`
+        : getUnsupportedPageMessage(getPageType(tab?.url));
+    siteOnlyCheckbox.addEventListener('change', async () => {
+        await saveFilters('site', siteOnlyCheckbox.checked ? state.global : null);
+        const where = siteOnlyCheckbox.checked ? `${state.origin} now has its own filters` : `${state.origin} follows the global filters`;
+        showNotification(where, 'success');
+    });
+    
+    // Reset returns the edited scope (every site, or this site's own filters) to the defaults
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => saveFilters(scope(), ThemeFilters.defaults()));
+    }
+    
+    render();
+}
+
+// Render the patch layers applied to the current tab, each with enable/disable and remove controls
+async function renderPatchLayers() {
+    const container = document.getElementById('patch-layers-list');
+    if (!container) return;
+    
+    try {
+        const response = await sendToActiveTab({ type: 'GET_PATCH_LAYERS' });
+        container.innerHTML = '';
+        updatePatchHistoryControls(response && response.history);
+        
+        if (!response || response.status !== 'ok') {
+            container.innerHTML = '<div style="padding: 12px; text-align: center; color: #6c757d; font-size: 12px;">Patches are not available on this page.</div>';
+            return;
+        }
+        if (response.layers.length === 0) {
+            container.innerHTML = '<div style="padding: 12px; text-align: center; color: #6c757d; font-size: 12px;">No patches applied to this page yet.</div>';
+            return;
+        }
+        
+        response.layers.forEach(layer => {
+            const row = document.createElement('div');
+            row.className = 'patch-layer' + (layer.enabled ? '' : ' disabled');
+            
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = layer.enabled;
+            toggle.title = layer.enabled ? 'Disable this patch' : 'Enable this patch';
+            toggle.addEventListener('change', async () => {
+                await sendToActiveTab({ type: 'SET_PATCH_LAYER_ENABLED', layerId: layer.id, enabled: toggle.checked });
+                renderPatchLayers();
+            });
+            
+            const info = document.createElement('div');
+            info.className = 'patch-layer-info';
+            const label = document.createElement('div');
+            label.className = 'patch-layer-label';
+            label.textContent = layer.label;
+            label.title = layer.label;
+            const meta = document.createElement('div');
+            meta.className = 'patch-layer-meta';
+            meta.textContent = `${layer.source}${layer.persisted ? ' · saved' : ''} · ${layer.ruleCount} rule${layer.ruleCount === 1 ? '' : 's'}`;
+            info.appendChild(label);
+            info.appendChild(meta);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'patch-layer-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove this patch from the page';
+            removeBtn.addEventListener('click', async () => {
+                await sendToActiveTab({ type: 'REMOVE_PATCH_LAYER', layerId: layer.id });
+                renderPatchLayers();
+            });
+            
+            row.appendChild(toggle);
+            row.appendChild(info);
+            row.appendChild(removeBtn);
+            container.appendChild(row);
+        });
+    } catch (error) {
+        console.debug('[Popup] Error rendering patch layers:', error);
+    }
+}
+
 // Trigger real-time analysis
 async function triggerRealTimeAnalysis() {
     console.debug('[Popup] Triggering real-time analysis');
@@ -1496,12 +2139,14 @@ async function updateConnectionStatus() {
 }
 
 // Render feedback analytics
-function renderFeedbackAnalytics() {
+async function renderFeedbackAnalytics() {
     console.debug('[Popup] Rendering feedback analytics');
     
     try {
-        const feedback = JSON.parse(localStorage.getItem('darkmode_feedback') || '[]');
-        const fixTracking = JSON.parse(localStorage.getItem('darkmode_fix_tracking') || '[]');
+        const {
+            darkmode_feedback: feedback,
+            darkmode_fix_tracking: fixTracking
+        } = await learningStore.get(['darkmode_feedback', 'darkmode_fix_tracking']);
         
         // Update issues count
         const issuesCount = document.getElementById('issues-count');
@@ -1541,8 +2186,29 @@ function renderFeedbackAnalytics() {
     }
 }
 
+// Append the on-device menu classifier's version and accuracy to the AI learning section
+async function renderMenuModelInfo() {
+    const aiAnalyticsContent = document.getElementById('ai-analytics-content');
+    if (!aiAnalyticsContent) return;
+    
+    const response = await sendToActiveTab({ type: 'GET_MODEL_INFO' });
+    if (!response || response.status !== 'ok') return;
+    
+    const model = response.model;
+    let info = document.getElementById('menu-model-info');
+    if (!info) {
+        info = document.createElement('div');
+        info.id = 'menu-model-info';
+        info.style.cssText = 'padding: 0 16px 16px; font-size: 11px; color: #6c757d;';
+        aiAnalyticsContent.appendChild(info);
+    }
+    const accuracy = model.accuracy === null ? 'not trained yet' : `${Math.round(model.accuracy * 100)}% accuracy`;
+    info.textContent = `🧮 Menu classifier v${model.version} (rev ${model.revision}) · ${accuracy} · ${model.samples} feedback samples` +
+        (model.ready ? '' : ' · using heuristic until trained');
+}
+
 // Render AI learning analytics
-function renderAILearningAnalytics() {
+async function renderAILearningAnalytics() {
     console.debug('[Popup] Rendering AI learning analytics');
     
     try {
@@ -1552,7 +2218,7 @@ function renderAILearningAnalytics() {
             return;
         }
         
-        const fixTracking = JSON.parse(localStorage.getItem('darkmode_fix_tracking') || '[]');
+        const fixTracking = await learningStore.query('darkmode_fix_tracking');
         
         if (fixTracking.length === 0) {
             aiAnalyticsContent.innerHTML = '<div style="padding: 16px; text-align: center; color: #6c757d;">No AI learning data available yet. Use the "Report Issue" feature to start building your AI knowledge base!</div>';
@@ -0,0 +1,124 @@
+/*
+  Privacy Redactor: Universal Dark Mode Extension
+  -----------------------------------------------
+  Removes personal data from element payloads and page context before the
+  background worker sends them to the proxy (and from there to the LLM):
+    - URLs keep their origin and path only; query strings, fragments and
+      ";" parameters are dropped, and token-like path segments become "*".
+    - Emails, JWTs, bearer tokens, well-known API key formats and long
+      random strings in text are replaced by placeholders.
+    - Text fields are cut to a short preview.
+  For sites the user marked "never send content", page text is dropped
+  entirely and URLs are reduced to the origin; only the element's structure
+  and styles are sent.
+*/
+
+const REDACTED_EMAIL = '[email]';
+const REDACTED_TOKEN = '[token]';
+
+// Maximum length of each text field sent to the proxy
+const REDACTION_LIMITS = {
+    textContent: 100,
+    innerHTML: 300,
+    title: 120,
+    description: 1000
+};
+
+const TOKEN_PATTERNS = [
+    /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g, // JWT
+    /\b(?:bearer|token|api[_-]?key|access[_-]?token|secret|password|passwd|pwd)\s*[:=]\s*["']?[^\s"'&<>]{6,}/gi,
+    /\b(?:sk|pk|rk)[-_](?:live|test|proj)?[-_]?[A-Za-z0-9]{16,}\b/g, // Stripe / OpenAI style keys
+    /\bAIza[0-9A-Za-z_-]{35}\b/g, // Google API key
+    /\bgh[pousr]_[A-Za-z0-9]{30,}\b/g, // GitHub tokens
+    /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g, // Slack tokens
+    /\b[0-9a-f]{32,}\b/gi, // Hex digests and session ids
+    /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{40,}\b/g // Long random strings
+];
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const URL_PATTERN = /https?:\/\/[^\s"'<>)]+/g;
+
+class PrivacyRedactor {
+    // Origin and path only; "*" replaces path segments that look like ids, tokens or emails
+    static redactUrl(url, { originOnly = false } = {}) {
+        if (!url) return url || null;
+        try {
+            const parsed = new URL(url);
+            if (originOnly || !/^https?:$/.test(parsed.protocol)) return parsed.origin;
+            const path = parsed.pathname
+                .split(';')[0]
+                .split('/')
+                .map(segment => PrivacyRedactor.isSensitiveSegment(segment) ? '*' : segment)
+                .join('/');
+            return parsed.origin + path;
+        } catch {
+            return null;
+        }
+    }
+
+    static isSensitiveSegment(segment) {
+        let decoded = segment;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch {
+            // Keep the raw segment
+        }
+        return decoded.includes('@') || PrivacyRedactor.redactSecrets(decoded) !== decoded;
+    }
+
+    // Replace emails and tokens; text is otherwise unchanged
+    static redactSecrets(text) {
+        let result = String(text).replace(EMAIL_PATTERN, REDACTED_EMAIL);
+        TOKEN_PATTERNS.forEach(pattern => {
+            result = result.replace(pattern, REDACTED_TOKEN);
+        });
+        return result;
+    }
+
+    // Redact URLs, emails and tokens in free text, then cut it to maxLength (marker included,
+    // so redacting twice changes nothing)
+    static redactText(text, maxLength = Infinity) {
+        if (typeof text !== 'string' || !text) return text;
+        const redacted = PrivacyRedactor.redactSecrets(
+            text.replace(URL_PATTERN, url => PrivacyRedactor.redactUrl(url) || '[url]')
+        );
+        const marker = '… [truncated]';
+        return redacted.length > maxLength ? redacted.slice(0, maxLength - marker.length) + marker : redacted;
+    }
+
+    // Markup also loses query strings of relative links and the values of form fields
+    static redactMarkup(html, maxLength = Infinity) {
+        if (typeof html !== 'string' || !html) return html;
+        const stripped = html
+            .replace(/(\b(?:href|src|action)\s*=\s*["'][^"'?#]*)[?#][^"']*/gi, '$1')
+            .replace(/(\bvalue\s*=\s*)(["'])[^"']*\2/gi, '$1$2$2');
+        return PrivacyRedactor.redactText(stripped, maxLength);
+    }
+
+    // Copy of an element payload or page context that is safe to send. Fields this module does
+    // not know about are passed through unchanged (styles, dimensions, classes...).
+    static redactPayload(data, { neverSend = false } = {}) {
+        if (!data || typeof data !== 'object') return data;
+        const redacted = { ...data };
+        if ('url' in data) redacted.url = PrivacyRedactor.redactUrl(data.url, { originOnly: neverSend });
+        if ('description' in data) redacted.description = PrivacyRedactor.redactText(data.description, REDACTION_LIMITS.description);
+
+        ['textContent', 'innerHTML', 'title'].forEach(field => {
+            if (!(field in data)) return;
+            if (neverSend) {
+                redacted[field] = '';
+            } else {
+                const redact = field === 'innerHTML' ? PrivacyRedactor.redactMarkup : PrivacyRedactor.redactText;
+                redacted[field] = redact(data[field], REDACTION_LIMITS[field]);
+            }
+        });
+        if (neverSend) redacted.contentWithheld = true;
+        return redacted;
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivacyRedactor;
+} else if (typeof window !== 'undefined') {
+    window.PrivacyRedactor = PrivacyRedactor;
+}
@@ -0,0 +1,129 @@
+/*
+  Origin Checks and Install Tokens (auth.js)
+  -------------------------------------------------------------
+  - CORS: only origins listed in CORS_ORIGINS (comma-separated, `*` wildcards
+    allowed, e.g. chrome-extension://*) receive CORS headers; browser requests
+    from any other origin are rejected.
+  - Install tokens: each extension install registers once (POST /api/register,
+    which only accepts requests with an Origin in CORS_ORIGINS) and receives a token of the form `<installId>.<issuedAt>.<signature>`, an
+    HMAC-SHA256 signature made with SESSION_SECRET. Every other /api/* call must
+    send it as `Authorization: Bearer <token>`. Tokens are stateless; rotating
+    SESSION_SECRET revokes all of them.
+*/
+const crypto = require('crypto');
+
+const PLACEHOLDER_SECRET = 'your_secret_key_here';
+
+// Turn CORS_ORIGINS into matchers; an empty list allows no cross-origin requests
+function parseAllowedOrigins(value) {
+  return String(value || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+    .map(origin => new RegExp('^' + origin.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*') + '$'));
+}
+
+function isOriginAllowed(origin, allowedOrigins) {
+  return allowedOrigins.some(pattern => pattern.test(origin));
+}
+
+// Requests without an Origin header (curl, server-to-server) pass through to the token check
+function corsMiddleware(allowedOrigins) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (origin) {
+      if (!isOriginAllowed(origin, allowedOrigins)) {
+        console.warn('[Server] Rejected request from origin not in CORS_ORIGINS:', origin);
+        return res.status(403).json({ error: 'Origin not allowed.' });
+      }
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Vary', 'Origin');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control');
+      res.header('Access-Control-Expose-Headers', 'Retry-After, X-Cache, X-Cache-Key, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+    }
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(200);
+    }
+    next();
+  };
+}
+
+// Require an Origin header in the allowed list. Browsers always send one with extension
+// POSTs, so this keeps curl and scripts (which corsMiddleware lets through) from minting tokens.
+function requireAllowedOrigin(allowedOrigins) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (!origin || !isOriginAllowed(origin, allowedOrigins)) {
+      console.warn(`[Server] Rejected ${req.method} ${req.originalUrl}: missing or disallowed origin`);
+      return res.status(403).json({ error: 'Origin not allowed.' });
+    }
+    next();
+  };
+}
+
+// SESSION_SECRET from .env; outside production a random per-process secret is used when it is
+// missing (tokens then stop working on restart and the extension registers again)
+function resolveSessionSecret(env = process.env) {
+  const secret = env.SESSION_SECRET;
+  if (secret && secret !== PLACEHOLDER_SECRET) {
+    return secret;
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set to a random value in production');
+  }
+  console.warn('[Server] SESSION_SECRET is not set; using a temporary secret. Install tokens will be invalid after a restart.');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function issueToken(secret) {
+  const installId = crypto.randomUUID();
+  const issuedAt = Date.now();
+  const payload = `${installId}.${issuedAt}`;
+  return { token: `${payload}.${sign(secret, payload)}`, installId, issuedAt };
+}
+
+// Returns the install id for a valid token, or null
+function verifyToken(secret, token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [installId, issuedAt, signature] = parts;
+  const expected = Buffer.from(sign(secret, `${installId}.${issuedAt}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return installId;
+}
+
+// Require a valid install token; the install id becomes req.clientId (used by the rate limiter)
+function requireInstallToken(secret, { publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (publicPaths.includes(req.path)) {
+      return next();
+    }
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    const installId = match && verifyToken(secret, match[1]);
+    if (!installId) {
+      console.warn(`[Server] Rejected ${req.method} ${req.originalUrl}: missing or invalid install token`);
+      return res.status(401).json({ error: 'A valid install token is required.', reason: 'invalid_token' });
+    }
+    req.clientId = installId;
+    next();
+  };
+}
+
+module.exports = {
+  parseAllowedOrigins,
+  isOriginAllowed,
+  corsMiddleware,
+  requireAllowedOrigin,
+  resolveSessionSecret,
+  issueToken,
+  verifyToken,
+  requireInstallToken
+};
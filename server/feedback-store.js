@@ -0,0 +1,290 @@
+/*
+  Feedback Store (feedback-store.js)
+  -------------------------------------------------------------
+  Append-only JSONL log of feedback/patch entries with in-memory indexes.
+    - Each entry is one line in feedback_log.jsonl; adding an entry appends a
+      line instead of rewriting the whole file.
+    - Writes go through a single queue, so concurrent requests never interleave
+      or lose entries.
+    - Entries are indexed by domain, tag, class key (classes joined with ".")
+      and time, so queries do not rescan the log.
+    - Entries older than ANALYTICS_RETENTION_DAYS are dropped and the file is
+      compacted (rewritten to a temp file, then renamed).
+    - On first start, entries from the legacy feedback_log.json are imported.
+    - Every entry is scrubbed of URLs' query strings, emails, tokens and page
+      titles before it is kept or written (see scrubber.js).
+    - User verdicts on a patch (positive / partial / negative) are appended as
+      rating lines and matched to entries by a hash of the patch CSS. Each
+      client has one verdict per patch; rating again replaces it.
+  Listeners can subscribe to 'append', 'rate' and 'prune' events to keep derived
+  data (such as pattern analysis) up to date incrementally.
+*/
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { scrubEntry } = require('./scrubber');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VERDICTS = ['positive', 'partial', 'negative'];
+
+class FeedbackStore extends EventEmitter {
+  constructor({ filePath, legacyPath, retentionDays = 30 } = {}) {
+    super();
+    this.filePath = filePath || path.join(__dirname, 'feedback_log.jsonl');
+    this.legacyPath = legacyPath || path.join(__dirname, 'feedback_log.json');
+    this.retentionDays = retentionDays;
+    this.entries = []; // ordered by append time
+    this.nextId = 1;
+    this.indexes = { domain: new Map(), tag: new Map(), classKey: new Map(), patchHash: new Map() };
+    this.ratings = new Map(); // `${clientId}:${patchHash}` -> latest rating
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Build from FEEDBACK_LOG_PATH and ANALYTICS_RETENTION_DAYS in .env
+  static fromEnv(env = process.env) {
+    return new FeedbackStore({
+      filePath: env.FEEDBACK_LOG_PATH ? path.resolve(env.FEEDBACK_LOG_PATH) : undefined,
+      retentionDays: parseInt(env.ANALYTICS_RETENTION_DAYS, 10) || 30
+    });
+  }
+
+  // Load the log (migrating the legacy JSON file if needed), then apply retention
+  load() {
+    if (!fs.existsSync(this.filePath) && fs.existsSync(this.legacyPath)) {
+      this.migrateLegacyLog();
+    }
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      let skipped = 0;
+      lines.forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const record = JSON.parse(line);
+          if (record.type === 'rating') {
+            this.ratings.set(FeedbackStore.ratingKey(record), record);
+          } else {
+            this.addToMemory(record);
+          }
+        } catch (e) {
+          // A partially written last line after a crash is skipped, not fatal
+          skipped++;
+        }
+      });
+      if (skipped > 0) {
+        console.warn(`[Server] Skipped ${skipped} unreadable lines in ${path.basename(this.filePath)}`);
+      }
+    }
+
+    console.info(`[Server] Feedback store loaded ${this.entries.length} entries and ${this.ratings.size} ratings from ${path.basename(this.filePath)}`);
+    this.pruneExpired();
+    return this;
+  }
+
+  // One-time import of the old array-in-a-file format; the legacy file is left in place
+  migrateLegacyLog() {
+    try {
+      const legacy = JSON.parse(fs.readFileSync(this.legacyPath, 'utf8'));
+      const lines = (Array.isArray(legacy) ? legacy : [])
+        .map((entry, index) => JSON.stringify(this.normalizeEntry(entry, index + 1)))
+        .join('\n');
+      fs.writeFileSync(this.filePath, lines ? lines + '\n' : '');
+      console.info(`[Server] Migrated ${Array.isArray(legacy) ? legacy.length : 0} entries from ${path.basename(this.legacyPath)}; the old file can be deleted`);
+    } catch (e) {
+      console.error('[Server] Failed to migrate legacy feedback log:', e.message);
+    }
+  }
+
+  // Domain of the page an entry came from: explicit field, url field, or first URL in the description
+  static domainFor(entry) {
+    if (entry.domain) return entry.domain;
+    const candidate = entry.url || (String(entry.description || '').match(/https?:\/\/[^\s"')]+/) || [])[0];
+    if (!candidate) return null;
+    try {
+      return new URL(candidate).hostname;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static classKeyFor(entry) {
+    return Array.isArray(entry.classes) && entry.classes.length > 0 ? entry.classes.join('.') : null;
+  }
+
+  // Identifies a patch across entries, cache hits and clients; whitespace at the ends is ignored
+  static patchHashFor(css) {
+    const patch = String(css || '').trim();
+    return patch ? crypto.createHash('sha256').update(patch).digest('hex') : null;
+  }
+
+  static ratingKey(rating) {
+    return `${rating.clientId}:${rating.patchHash}`;
+  }
+
+  normalizeEntry(entry, id) {
+    return {
+      ...scrubEntry(entry),
+      id: entry.id || id,
+      timestamp: entry.timestamp || Date.now(),
+      classes: Array.isArray(entry.classes) ? entry.classes : [],
+      domain: FeedbackStore.domainFor(entry),
+      patchHash: entry.patchHash || FeedbackStore.patchHashFor(entry.patch)
+    };
+  }
+
+  addToMemory(entry) {
+    const normalized = this.normalizeEntry(entry, this.nextId);
+    this.nextId = Math.max(this.nextId, normalized.id + 1);
+    this.entries.push(normalized);
+    this.indexEntry(normalized);
+    return normalized;
+  }
+
+  indexEntry(entry) {
+    const add = (index, key) => {
+      if (!key) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(entry);
+    };
+    add(this.indexes.domain, entry.domain);
+    add(this.indexes.tag, entry.tag);
+    add(this.indexes.classKey, FeedbackStore.classKeyFor(entry));
+    add(this.indexes.patchHash, entry.patchHash);
+  }
+
+  rebuildIndexes() {
+    this.indexes = { domain: new Map(), tag: new Map(), classKey: new Map(), patchHash: new Map() };
+    this.entries.forEach(entry => this.indexEntry(entry));
+  }
+
+  // Serialize file operations so writes never interleave
+  enqueueWrite(operation) {
+    const run = this.writeQueue.then(operation);
+    this.writeQueue = run.catch(error => {
+      console.error('[Server] Feedback store write failed:', error.message);
+    });
+    return run;
+  }
+
+  // Add an entry; it is queryable immediately and persisted by the write queue
+  append(entry) {
+    const stored = this.addToMemory({ ...entry, id: this.nextId });
+    this.enqueueWrite(() => fs.promises.appendFile(this.filePath, JSON.stringify(stored) + '\n'));
+    this.emit('append', stored);
+    return stored;
+  }
+
+  // Most recent entry that produced this patch, or null
+  findByPatchHash(patchHash) {
+    const list = this.indexes.patchHash.get(patchHash);
+    return list ? list[list.length - 1] : null;
+  }
+
+  // Record a client's verdict on a stored patch. Returns { rating, previous, entry }, or null
+  // when no stored entry has this patch. Throws on an unknown verdict.
+  rate({ patchHash, verdict, clientId, timestamp = Date.now() }) {
+    if (!VERDICTS.includes(verdict)) {
+      throw new Error(`verdict must be one of: ${VERDICTS.join(', ')}`);
+    }
+    const entry = this.findByPatchHash(patchHash);
+    if (!entry) return null;
+
+    const rating = { type: 'rating', patchHash, verdict, clientId: clientId || 'unknown', timestamp };
+    const key = FeedbackStore.ratingKey(rating);
+    const previous = this.ratings.get(key) || null;
+    this.ratings.set(key, rating);
+    this.enqueueWrite(() => fs.promises.appendFile(this.filePath, JSON.stringify(rating) + '\n'));
+    this.emit('rate', rating, previous, entry);
+    return { rating, previous, entry };
+  }
+
+  // Current verdict counts for one patch
+  ratingTotals(patchHash) {
+    const totals = { positive: 0, partial: 0, negative: 0 };
+    for (const rating of this.ratings.values()) {
+      if (rating.patchHash === patchHash) totals[rating.verdict]++;
+    }
+    return totals;
+  }
+
+  allRatings() {
+    return Array.from(this.ratings.values());
+  }
+
+  // Resolves once every queued write has reached the file
+  flush() {
+    return this.writeQueue;
+  }
+
+  // Entries matching all given filters, newest first. Uses the most selective index available.
+  query({ domain, tag, classKey, since, until, limit } = {}) {
+    let candidates = this.entries;
+    const indexed = [
+      domain && this.indexes.domain.get(domain),
+      tag && this.indexes.tag.get(tag),
+      classKey && this.indexes.classKey.get(classKey)
+    ];
+    if ((domain && !indexed[0]) || (tag && !indexed[1]) || (classKey && !indexed[2])) {
+      return [];
+    }
+    indexed.filter(Boolean).forEach(list => {
+      if (list.length < candidates.length) candidates = list;
+    });
+
+    const results = [];
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const entry = candidates[i];
+      if (domain && entry.domain !== domain) continue;
+      if (tag && entry.tag !== tag) continue;
+      if (classKey && FeedbackStore.classKeyFor(entry) !== classKey) continue;
+      if (since && entry.timestamp < since) continue;
+      if (until && entry.timestamp > until) continue;
+      results.push(entry);
+      if (limit && results.length >= limit) break;
+    }
+    return results;
+  }
+
+  all() {
+    return this.entries;
+  }
+
+  // Drop entries past the retention window and compact the file
+  pruneExpired(now = Date.now()) {
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const kept = this.entries.filter(entry => entry.timestamp >= cutoff);
+    const removed = this.entries.length - kept.length;
+    const expiredRatings = Array.from(this.ratings).filter(([, rating]) => rating.timestamp < cutoff);
+    if (removed === 0 && expiredRatings.length === 0) return 0;
+
+    this.entries = kept;
+    expiredRatings.forEach(([key]) => this.ratings.delete(key));
+    this.rebuildIndexes();
+    this.compact();
+    console.info(`[Server] Feedback store pruned ${removed} entries older than ${this.retentionDays} days`);
+    this.emit('prune', removed);
+    return removed;
+  }
+
+  // Rewrite the file from memory via a temp file, so a crash never leaves it half written
+  compact() {
+    return this.enqueueWrite(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      const content = this.entries.concat(this.allRatings()).map(record => JSON.stringify(record)).join('\n');
+      await fs.promises.writeFile(tempPath, content ? content + '\n' : '');
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+  }
+
+  // Apply retention once a day for long-running servers
+  startRetentionSchedule() {
+    const timer = setInterval(() => this.pruneExpired(), DAY_MS);
+    timer.unref();
+    return timer;
+  }
+}
+
+FeedbackStore.VERDICTS = VERDICTS;
+
+module.exports = FeedbackStore;
@@ -0,0 +1,235 @@
+/*
+  LLM Provider Layer (llm-providers.js)
+  -------------------------------------------------------------
+  The proxy talks to one LLM provider, selected with LLM_PROVIDER in .env:
+    - gemini: Google Gemini generateContent API (default)
+    - openai: any OpenAI-compatible /chat/completions endpoint (OpenAI, llama.cpp server, vLLM, LM Studio...)
+    - ollama: a local Ollama server (/api/chat)
+    - local:  canned dark mode CSS with no network access, for offline development and tests
+  Every provider resolves to the same normalized shape the extension expects:
+    { darkModeCss: string, message?: string }
+  API keys are read from the environment only and never logged.
+*/
+const fetch = require('node-fetch');
+const ThemePalette = require('../palette');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const DARK_MODE_CSS_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    darkModeCss: {
+      type: 'STRING',
+      description: 'A single string containing all the generated CSS rules for the dark mode theme.'
+    }
+  },
+  required: ['darkModeCss']
+};
+
+const JSON_INSTRUCTION = 'Respond with ONLY a valid JSON object matching this schema: { "darkModeCss": "<all generated CSS rules as a string>", "message": "<optional short explanation>" }. Do not include markdown formatting.';
+
+// POST JSON with a timeout; throws with the response body on non-2xx statuses
+async function postJson(url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const errorBody = await response.text();
+      const error = new Error(`Provider API error: ${response.status} ${errorBody}`);
+      error.status = response.status;
+      throw error;
+    }
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Provider API timed out after ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Turn raw model text into { darkModeCss, message }. Accepts the JSON schema above,
+// a fenced ```css block, or bare CSS.
+function normalizeResponse(text) {
+  if (text && typeof text === 'object') {
+    return {
+      darkModeCss: typeof text.darkModeCss === 'string' ? text.darkModeCss : '',
+      ...(text.message ? { message: String(text.message) } : {})
+    };
+  }
+
+  const content = String(text || '').trim();
+  if (!content) return { darkModeCss: '' };
+
+  try {
+    const parsed = JSON.parse(content);
+    if (parsed && typeof parsed === 'object') {
+      return normalizeResponse(parsed);
+    }
+  } catch (e) {
+    // Not JSON, fall through to CSS extraction
+  }
+
+  // Some models wrap the JSON object in a code fence
+  const jsonFence = content.match(/```json\s*\n([\s\S]*?)\n```/);
+  if (jsonFence) {
+    try {
+      return normalizeResponse(JSON.parse(jsonFence[1]));
+    } catch (e) {
+      // Fall through
+    }
+  }
+
+  const cssFence = content.match(/```(?:css)?\s*\n([\s\S]*?)\n```/);
+  if (cssFence) {
+    const message = content.replace(cssFence[0], '').trim();
+    return { darkModeCss: cssFence[1], ...(message ? { message } : {}) };
+  }
+
+  // Bare CSS if it looks like rules, otherwise a plain message
+  if (/[^{}]+\{[^}]*:[^}]*\}/.test(content)) {
+    return { darkModeCss: content };
+  }
+  return { darkModeCss: '', message: content };
+}
+
+function createGeminiProvider(env) {
+  const model = env.GEMINI_MODEL || 'gemini-2.5-flash';
+  const baseUrl = (env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models').replace(/\/$/, '');
+  return {
+    name: 'gemini',
+    model,
+    isConfigured: () => !!env.GEMINI_API_KEY,
+    async generate({ prompt, temperature = 0.2, maxOutputTokens = 8192, timeoutMs }) {
+      // The key goes in a header, never in the URL, which ends up in error messages and logs
+      const data = await postJson(`${baseUrl}/${model}:generateContent`, {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          response_mime_type: 'application/json',
+          response_schema: DARK_MODE_CSS_SCHEMA,
+          temperature,
+          max_output_tokens: maxOutputTokens
+        }
+      }, { 'x-goog-api-key': env.GEMINI_API_KEY }, timeoutMs);
+      const text = data && data.candidates && data.candidates[0] && data.candidates[0].content &&
+        data.candidates[0].content.parts && data.candidates[0].content.parts[0] &&
+        data.candidates[0].content.parts[0].text;
+      return normalizeResponse(text);
+    }
+  };
+}
+
+function createOpenAICompatibleProvider(env) {
+  const model = env.OPENAI_MODEL || 'gpt-4o-mini';
+  const baseUrl = (env.OPENAI_API_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  return {
+    name: 'openai',
+    model,
+    // Local OpenAI-compatible servers (e.g. llama.cpp) usually need no key
+    isConfigured: () => !!env.OPENAI_API_KEY || !baseUrl.startsWith('https://api.openai.com'),
+    async generate({ prompt, temperature = 0.2, maxOutputTokens = 8192, timeoutMs }) {
+      const headers = env.OPENAI_API_KEY ? { Authorization: `Bearer ${env.OPENAI_API_KEY}` } : {};
+      const data = await postJson(`${baseUrl}/chat/completions`, {
+        model,
+        messages: [
+          { role: 'system', content: JSON_INSTRUCTION },
+          { role: 'user', content: prompt }
+        ],
+        temperature,
+        max_tokens: maxOutputTokens,
+        response_format: { type: 'json_object' }
+      }, headers, timeoutMs);
+      const text = data && data.choices && data.choices[0] && data.choices[0].message &&
+        data.choices[0].message.content;
+      return normalizeResponse(text);
+    }
+  };
+}
+
+function createOllamaProvider(env) {
+  const model = env.OLLAMA_MODEL || 'llama3.1';
+  const baseUrl = (env.OLLAMA_URL || 'http://localhost:11434').replace(/\/$/, '');
+  return {
+    name: 'ollama',
+    model,
+    isConfigured: () => true,
+    async generate({ prompt, temperature = 0.2, timeoutMs }) {
+      const data = await postJson(`${baseUrl}/api/chat`, {
+        model,
+        messages: [
+          { role: 'system', content: JSON_INSTRUCTION },
+          { role: 'user', content: prompt }
+        ],
+        stream: false,
+        format: 'json',
+        options: { temperature }
+      }, {}, timeoutMs);
+      return normalizeResponse(data && data.message && data.message.content);
+    }
+  };
+}
+
+// Offline stand-in: a fixed, readable dark theme for common elements
+function createLocalProvider() {
+  const cannedCss = [
+    `body { background-color: ${ThemePalette.cssVar('background')} !important; color: ${ThemePalette.cssVar('text')} !important; }`,
+    `nav, header, footer, aside, [role="menu"], [role="dialog"] { background-color: ${ThemePalette.cssVar('surface')} !important; color: ${ThemePalette.cssVar('text')} !important; }`,
+    `input, textarea, select, button { background-color: ${ThemePalette.cssVar('surfaceElevated')} !important; color: ${ThemePalette.cssVar('text')} !important; border: 1px solid ${ThemePalette.cssVar('border')} !important; }`,
+    `a { color: ${ThemePalette.cssVar('link')} !important; }`
+  ].join('\n');
+  return {
+    name: 'local',
+    model: 'canned-css',
+    isConfigured: () => true,
+    async generate() {
+      return { darkModeCss: cannedCss, message: 'Generated by the local stand-in provider (no LLM was called).' };
+    }
+  };
+}
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  ollama: createOllamaProvider,
+  local: createLocalProvider
+};
+
+// Add or replace a provider factory: factory(env) => { name, model, isConfigured(), generate(options) }
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+function listProviders() {
+  return Object.keys(providerFactories);
+}
+
+// Build the provider named by LLM_PROVIDER (default: gemini)
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Available providers: ${listProviders().join(', ')}`);
+  }
+  const provider = factory(env);
+  const timeoutMs = parseInt(env.REQUEST_TIMEOUT, 10) || DEFAULT_TIMEOUT_MS;
+  return {
+    ...provider,
+    generate: (options) => provider.generate({ timeoutMs, ...options })
+  };
+}
+
+module.exports = {
+  RESPONSE_SCHEMA: DARK_MODE_CSS_SCHEMA,
+  createProvider,
+  registerProvider,
+  listProviders,
+  normalizeResponse
+};
@@ -0,0 +1,158 @@
+/*
+  Rate Limiter (rate-limiter.js)
+  -------------------------------------------------------------
+  Per-client limits for the LLM-backed routes:
+    - a request rate limit (RATE_LIMIT_PER_MINUTE requests per RATE_LIMIT_WINDOW ms)
+    - a daily request quota (DAILY_REQUEST_QUOTA)
+    - a daily token quota (DAILY_TOKEN_QUOTA), estimated from request and response sizes
+  A request counts against its install token and its remote address, and must be
+  within the limits of both, so registering extra tokens from one address does not
+  add to its quota. Rejected requests get 429 with a Retry-After header (seconds).
+  State is in memory, so limits reset when the server restarts.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rough token estimate used for quotas (about four characters per token)
+function estimateTokens(byteLength) {
+  return Math.ceil((byteLength || 0) / 4);
+}
+
+class RateLimiter {
+  constructor({ limit = 60, windowMs = 60000, dailyRequestQuota = 1000, dailyTokenQuota = 500000 } = {}) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.dailyRequestQuota = dailyRequestQuota;
+    this.dailyTokenQuota = dailyTokenQuota;
+    this.clients = new Map(); // clientId -> { windowStart, count, day, dailyRequests, dailyTokens }
+
+    // Forget idle clients so the map does not grow forever
+    this.cleanupTimer = setInterval(() => this.pruneIdleClients(), Math.max(windowMs, 60000));
+    this.cleanupTimer.unref();
+  }
+
+  // Build from the RATE_LIMIT_* and DAILY_*_QUOTA variables in .env
+  static fromEnv(env = process.env) {
+    return new RateLimiter({
+      limit: parseInt(env.RATE_LIMIT_PER_MINUTE, 10) || 60,
+      windowMs: parseInt(env.RATE_LIMIT_WINDOW, 10) || 60000,
+      dailyRequestQuota: parseInt(env.DAILY_REQUEST_QUOTA, 10) || 1000,
+      dailyTokenQuota: parseInt(env.DAILY_TOKEN_QUOTA, 10) || 500000
+    });
+  }
+
+  // Keys a request is counted under: the remote address and, once authenticated, the install id
+  static clientIdsFor(req) {
+    const ids = [`ip:${req.socket.remoteAddress || 'unknown'}`];
+    if (req.clientId) ids.push(`install:${req.clientId}`);
+    return ids;
+  }
+
+  // UTC day start for the daily quotas
+  static dayStart(now) {
+    return Math.floor(now / DAY_MS) * DAY_MS;
+  }
+
+  getClient(clientId, now) {
+    let client = this.clients.get(clientId);
+    if (!client) {
+      client = { windowStart: now, count: 0, day: RateLimiter.dayStart(now), dailyRequests: 0, dailyTokens: 0 };
+      this.clients.set(clientId, client);
+    }
+    if (now - client.windowStart >= this.windowMs) {
+      client.windowStart = now;
+      client.count = 0;
+    }
+    if (RateLimiter.dayStart(now) !== client.day) {
+      client.day = RateLimiter.dayStart(now);
+      client.dailyRequests = 0;
+      client.dailyTokens = 0;
+    }
+    return client;
+  }
+
+  // Count a request for one or more client ids; it is only counted if every one of them is
+  // within its limits. Returns { allowed, reason, retryAfter, remaining, resetAt }
+  check(clientIds, requestTokens = 0, now = Date.now()) {
+    const clients = [].concat(clientIds).map(clientId => this.getClient(clientId, now));
+
+    const reject = (reason, resetAt) => ({
+      allowed: false,
+      reason,
+      retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+      remaining: 0,
+      resetAt
+    });
+
+    for (const client of clients) {
+      const dayResetAt = client.day + DAY_MS;
+      if (client.dailyRequests >= this.dailyRequestQuota) {
+        return reject('daily_request_quota', dayResetAt);
+      }
+      if (client.dailyTokens + requestTokens > this.dailyTokenQuota) {
+        return reject('daily_token_quota', dayResetAt);
+      }
+      if (client.count >= this.limit) {
+        return reject('rate_limit', client.windowStart + this.windowMs);
+      }
+    }
+
+    clients.forEach(client => {
+      client.count++;
+      client.dailyRequests++;
+      client.dailyTokens += requestTokens;
+    });
+    // The most used key decides what is left
+    const busiest = clients.reduce((most, client) => (client.count > most.count ? client : most));
+    return { allowed: true, remaining: this.limit - busiest.count, resetAt: busiest.windowStart + this.windowMs };
+  }
+
+  // Add tokens spent on a response to the daily totals of the request's client ids
+  recordTokens(clientIds, tokens, now = Date.now()) {
+    [].concat(clientIds).forEach(clientId => {
+      this.getClient(clientId, now).dailyTokens += tokens;
+    });
+  }
+
+  pruneIdleClients(now = Date.now()) {
+    for (const [clientId, client] of this.clients) {
+      if (now - client.windowStart >= this.windowMs && RateLimiter.dayStart(now) !== client.day) {
+        this.clients.delete(clientId);
+      }
+    }
+  }
+
+  // Express middleware enforcing the limits on the routes it is mounted on
+  middleware() {
+    return (req, res, next) => {
+      const clientIds = RateLimiter.clientIdsFor(req);
+      const requestTokens = estimateTokens(parseInt(req.get('Content-Length'), 10));
+      const result = this.check(clientIds, requestTokens);
+
+      res.set('X-RateLimit-Limit', String(this.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+      res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+
+      if (!result.allowed) {
+        console.warn(`[Server] ${req.path} rejected for ${clientIds.join(', ')}: ${result.reason} (retry after ${result.retryAfter}s)`);
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          error: result.reason === 'rate_limit' ? 'Too many requests. Please slow down.' : 'Daily quota exceeded.',
+          reason: result.reason,
+          retryAfter: result.retryAfter
+        });
+      }
+
+      // Count response size against the token quota once it has been sent
+      res.on('finish', () => {
+        const responseBytes = parseInt(res.get('Content-Length'), 10);
+        if (responseBytes) {
+          this.recordTokens(clientIds, estimateTokens(responseBytes));
+        }
+      });
+      next();
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,129 @@
+/*
+  Response Cache (response-cache.js)
+  -------------------------------------------------------------
+  Content-addressed, in-memory cache for normalized LLM responses.
+  Keys are a SHA-256 hash of everything that determines the answer
+  (prompt, provider, model and response schema), so identical patch
+  requests are served without spending provider quota.
+  Entries expire after a TTL; when the total size exceeds the limit the
+  least recently used entries are evicted first.
+*/
+const crypto = require('crypto');
+
+class ResponseCache {
+  constructor({ enabled = true, ttlMs = 3600 * 1000, maxBytes = 100 * 1024 * 1024 } = {}) {
+    this.enabled = enabled;
+    this.ttlMs = ttlMs;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> entry, in least-recently-used-first order
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  // Build from the CACHE_* variables documented in .env.example
+  static fromEnv(env = process.env) {
+    return new ResponseCache({
+      enabled: env.ENABLE_CACHING !== 'false',
+      ttlMs: (parseInt(env.CACHE_TTL, 10) || 3600) * 1000,
+      maxBytes: (parseFloat(env.MAX_CACHE_SIZE) || 100) * 1024 * 1024
+    });
+  }
+
+  // Stable hash of the inputs that determine a response
+  static keyFor({ prompt, provider, model, schema }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ prompt, provider, model, schema: schema || null }))
+      .digest('hex');
+  }
+
+  get(key) {
+    if (!this.enabled) return null;
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return null;
+    }
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    entry.hits++;
+    this.stats.hits++;
+    return entry;
+  }
+
+  set(key, value, meta = {}) {
+    if (!this.enabled) return null;
+    const size = Buffer.byteLength(JSON.stringify(value), 'utf8');
+    if (size > this.maxBytes) return null;
+
+    this.delete(key);
+    const now = Date.now();
+    const entry = { key, value, size, createdAt: now, expiresAt: now + this.ttlMs, hits: 0, ...meta };
+    this.entries.set(key, entry);
+    this.totalBytes += size;
+    this.evict();
+    return entry;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    return true;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.totalBytes = 0;
+    return removed;
+  }
+
+  // Drop expired entries, then least recently used ones until under the size limit
+  evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(key);
+        this.stats.expirations++;
+      }
+    }
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this.delete(key);
+      this.stats.evictions++;
+    }
+  }
+
+  // Summary for the admin route; values are omitted unless asked for
+  describe({ includeValues = false } = {}) {
+    this.evict();
+    return {
+      enabled: this.enabled,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      maxBytes: this.maxBytes,
+      totalBytes: this.totalBytes,
+      size: this.entries.size,
+      stats: { ...this.stats },
+      entries: Array.from(this.entries.values()).map(entry => ({
+        key: entry.key,
+        provider: entry.provider,
+        model: entry.model,
+        size: entry.size,
+        hits: entry.hits,
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt,
+        ...(includeValues ? { value: entry.value } : {})
+      }))
+    };
+  }
+}
+
+module.exports = ResponseCache;
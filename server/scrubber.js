@@ -0,0 +1,55 @@
+/*
+  Scrubber (scrubber.js)
+  -------------------------------------------------------------
+  Removes personal data from feedback entries before they are persisted or
+  logged. The extension already redacts what it sends (privacy.js); this is
+  the server-side guarantee for older clients and other callers, using the
+  same redaction rules:
+    - URLs keep their origin and path; query strings, fragments and ";"
+      parameters are dropped, and token-like path segments become "*".
+    - Emails, JWTs, bearer tokens, well-known API key formats and long random
+      strings are replaced by placeholders.
+    - Page titles (which often name the account or project) are not stored,
+      including "- Title:" lines in chat prompts.
+  CSS fields (css, patch) and element structure (tag, classes, xpath) are
+  kept unchanged, since pattern analysis depends on them.
+*/
+
+// URL, email and token redaction is shared with the extension, so both sides redact alike
+const PrivacyRedactor = require('../privacy');
+
+const REDACTED_TITLE = '[title]';
+const TITLE_LINE_PATTERN = /^(\s*-?\s*Title:)[^\n]*$/gim;
+
+function scrubSecrets(text) {
+  return PrivacyRedactor.redactSecrets(text);
+}
+
+// Origin and path only, or null for values that are not URLs
+function scrubUrl(url) {
+  return PrivacyRedactor.redactUrl(url);
+}
+
+// Free text such as descriptions and chat prompts
+function scrubText(text) {
+  if (typeof text !== 'string' || !text) return text;
+  return PrivacyRedactor.redactText(text.replace(TITLE_LINE_PATTERN, `$1 ${REDACTED_TITLE}`));
+}
+
+// Copy of a feedback entry that is safe to persist; unknown fields are kept
+function scrubEntry(entry) {
+  const scrubbed = { ...entry };
+  if ('url' in entry) scrubbed.url = scrubUrl(entry.url);
+  if ('title' in entry) scrubbed.title = null;
+  if ('description' in entry) scrubbed.description = scrubText(entry.description);
+  return scrubbed;
+}
+
+// Short description of a request body for logs, instead of the body itself
+function summarizeBody(body = {}) {
+  const size = JSON.stringify(body || {}).length;
+  const fields = Object.keys(body || {}).join(', ') || 'none';
+  return `${size} bytes (fields: ${fields})`;
+}
+
+module.exports = { scrubUrl, scrubText, scrubSecrets, scrubEntry, summarizeBody };
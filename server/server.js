@@ -4,47 +4,90 @@
   Security Rationale:
     - API key is stored only in .env and never exposed to extension/frontend.
     - All Gemini/LLM requests are validated and logged securely.
-    - Feedback and CSS patches are processed server-side for privacy and auditability.
+    - Only CORS_ORIGINS may call the proxy from a browser, and every /api/* call except
+      /api/health and /api/register needs a per-install token (see auth.js).
+    - The LLM backend is pluggable (see llm-providers.js); responses are normalized to { darkModeCss }.
+    - Feedback and CSS patches are processed server-side for privacy and auditability, and kept
+      in an append-only log with retention (see feedback-store.js).
   Advanced Logging/Debugging:
     - All major functions, requests, Gemini API calls, and errors are logged using console.debug/info/error.
-    - Logs do NOT leak sensitive data (e.g., API keys, user secrets).
+    - Logs do NOT leak sensitive data (e.g., API keys, user secrets); request bodies and prompts
+      are logged as sizes only, and stored feedback is scrubbed first (see scrubber.js).
     - Logging strategy explained in comments for security and audit.
 */
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
-const fetch = require('node-fetch');
-const fs = require('fs');
+const { createProvider, registerProvider, RESPONSE_SCHEMA } = require('./llm-providers');
+const ResponseCache = require('./response-cache');
+const RateLimiter = require('./rate-limiter');
+const FeedbackStore = require('./feedback-store');
+const { summarizeBody } = require('./scrubber');
+// Palette roles shared with the extension: generated CSS uses var(--udm-*) so the user's palette applies
+const ThemePalette = require('../palette');
+const { parseAllowedOrigins, corsMiddleware, requireAllowedOrigin, resolveSessionSecret, issueToken, requireInstallToken } = require('./auth');
 const app = express();
 
-// Enable CORS for extension
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  if (req.method === 'OPTIONS') {
-    res.sendStatus(200);
-  } else {
-    next();
-  }
-});
+// Cache of normalized provider responses (ENABLE_CACHING, CACHE_TTL, MAX_CACHE_SIZE)
+const responseCache = ResponseCache.fromEnv();
+
+// Per-client rate limit and daily quotas for the LLM-backed routes (RATE_LIMIT_*, DAILY_*_QUOTA)
+const rateLimiter = RateLimiter.fromEnv();
+const limitRequests = rateLimiter.middleware();
+
+// LLM provider selected by LLM_PROVIDER in .env; created at startup below, once the mock provider is registered
+let llmProvider;
+
+// Enable CORS for the origins in CORS_ORIGINS only (defaults to extension pages)
+const allowedOrigins = parseAllowedOrigins(process.env.CORS_ORIGINS || 'chrome-extension://*,moz-extension://*');
+app.use(corsMiddleware(allowedOrigins));
 
 app.use(express.json());
 
+// Every /api/* route except health and registration requires a per-install token
+const sessionSecret = resolveSessionSecret();
+app.use('/api', requireInstallToken(sessionSecret, { publicPaths: ['/health', '/register'] }));
 
-const FEEDBACK_LOG = 'feedback_log.json';
+// Registration is unauthenticated, so it gets its own strict per-IP limit
+const registrationLimiter = new RateLimiter({
+  limit: parseInt(process.env.REGISTER_LIMIT_PER_HOUR, 10) || 5,
+  windowMs: 60 * 60 * 1000,
+  dailyRequestQuota: 20
+});
+
+// Issue an install token to a new extension install (called once by background.js).
+// Only extension pages may register; requests without an allowed Origin get no token.
+app.post('/api/register', requireAllowedOrigin(allowedOrigins), registrationLimiter.middleware(), (req, res) => {
+  const { token, installId } = issueToken(sessionSecret);
+  console.info('[Server] Registered new install:', installId);
+  res.status(201).json({ token });
+});
+
+// Append-only feedback log (FEEDBACK_LOG_PATH, ANALYTICS_RETENTION_DAYS); pattern analysis is
+// kept up to date as entries arrive instead of rescanning the log on every request
+const feedbackStore = FeedbackStore.fromEnv().load();
+let historicalPatterns = analyzeHistoricalPatterns(feedbackStore.all(), feedbackStore.allRatings());
+feedbackStore.on('append', entry => accumulatePatterns(historicalPatterns, entry));
+feedbackStore.on('rate', (rating, previous, entry) => accumulateRating(historicalPatterns, rating, entry, previous));
+feedbackStore.on('prune', () => {
+  historicalPatterns = analyzeHistoricalPatterns(feedbackStore.all(), feedbackStore.allRatings());
+});
+feedbackStore.startRetentionSchedule();
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   console.info('[Server] Health check requested');
-  res.json({ status: 'ok' });
+  res.json({ status: 'ok', provider: llmProvider.name, model: llmProvider.model });
 });
 
 // Gemini feedback processing endpoint
-app.post('/api/gemini-feedback', async (req, res) => {
+app.post('/api/gemini-feedback', limitRequests, async (req, res) => {
   console.info('[Server] /api/gemini-feedback called');
   const feedback = req.body;
-  console.debug('[Server] Feedback received:', feedback);
+  console.debug('[Server] Feedback received:', summarizeBody(feedback));
+  if (!llmProvider.isConfigured()) {
+    console.error(`[Server] LLM provider "${llmProvider.name}" is not configured.`);
+    return res.status(500).json({ error: 'LLM provider not configured.' });
+  }
   const prompt = `
 You are an expert front-end web developer specializing in accessible, high-contrast dark mode themes.
 User feedback: ${JSON.stringify(feedback)}
@@ -53,141 +96,186 @@ If a CSS fix is suggested, output ONLY a valid JSON object matching this schema:
 { "darkModeCss": "<all generated CSS rules as a string>" }
 Do not include any explanations or markdown formatting.
 `;
-  const responseSchema = {
-    type: 'OBJECT',
-    properties: {
-      darkModeCss: {
-        type: 'STRING',
-        description: 'A single string containing all the generated CSS rules for the dark mode theme.'
-      }
-    },
-    required: ['darkModeCss']
-  };
-  const geminiPayload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      response_mime_type: "application/json",
-      response_schema: responseSchema,
-      temperature: 0.2,
-      max_output_tokens: 8192,
-    },
-  };
-  const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`;
   try {
-    console.info('[Server] Sending request to Gemini API');
-    const resp = await axios.post(geminiApiUrl, geminiPayload);
-    console.debug('[Server] Gemini API response:', resp.data);
-    res.json(resp.data);
+    console.info(`[Server] Sending request to ${llmProvider.name} provider`);
+    const result = await llmProvider.generate({ prompt, context: { feedback } });
+    console.debug('[Server] Provider response:', result);
+    res.json({ ...result, provider: llmProvider.name, model: llmProvider.model });
   } catch (err) {
-    console.error('[Server] Gemini API error:', err.message);
-    res.status(500).json({ error: err.message });
+    // Provider errors can include upstream response bodies and request URLs, so they stay in the server log
+    console.error('[Server] Provider error:', err);
+    res.status(500).json({ error: `Failed to process feedback with ${llmProvider.name} provider.` });
   }
 });
 
-// Advanced debugging for Gemini proxy endpoint
-app.post('/api/gemini', async (req, res) => {
-  console.debug('[Server] /api/gemini called with body:', req.body);
-  const geminiApiKey = process.env.GEMINI_API_KEY;
-  if (!geminiApiKey) {
-    console.error('[Server] API key not configured.');
-    return res.status(500).json({ error: 'API key not configured.' });
+// Advanced debugging for LLM proxy endpoint (kept at /api/gemini for the extension)
+app.post('/api/gemini', limitRequests, async (req, res) => {
+  console.debug('[Server] /api/gemini called with body:', summarizeBody(req.body));
+  if (!llmProvider.isConfigured()) {
+    console.error(`[Server] LLM provider "${llmProvider.name}" is not configured.`);
+    return res.status(500).json({ error: 'LLM provider not configured.' });
   }
-  // Accept all feedback fields
+  // Accept all feedback fields; page context (url, origin, title, elementType, detectedIssues) is structured
   const { css, tag, classes, xpath, description } = req.body;
+  const pageFields = readPageFields(req.body);
+  // The extension sends the colors of the user's palette; unknown roles and malformed colors are dropped
+  const paletteColors = ThemePalette.resolve({ custom: req.body.palette });
   
   // Handle cases where CSS might be 'N/A' or description is the main prompt
   const isGeneralPrompt = css === 'N/A' || !css;
   const mainPrompt = description || 'Generate dark mode CSS fixes';
-  // Build a detailed prompt for Gemini
+  // Build a detailed prompt for the LLM
   let prompt;
   if (isGeneralPrompt) {
     // For general prompts (chat, auto-fix, etc.)
     prompt = mainPrompt;
   } else {
     // For specific element fixes
-    prompt = `You are an expert front-end web developer specializing in accessible, high-contrast dark mode themes.\n--- CSS START ---\n${css}\n--- CSS END ---\nUser has reported an issue with the following element:\nTag: ${tag}\nClasses: ${Array.isArray(classes) ? classes.join(', ') : ''}\nXPath: ${xpath}\nDescription: ${description}\nYour task: Analyze the user's feedback and the element context, then generate a CSS patch that fixes the reported issue.\nIMPORTANT: Never use 'transparent' or 'rgba(0,0,0,0)' for any menu, overlay, or popup background. Always set a solid dark color (e.g., #222 or #121212) for menu backgrounds. Output ONLY a valid JSON object matching this schema: { "darkModeCss": "<all generated CSS rules as a string>" }.`;
+    prompt = `You are an expert front-end web developer specializing in accessible, high-contrast dark mode themes.\n--- CSS START ---\n${css}\n--- CSS END ---\nUser has reported an issue with the following element:\nTag: ${tag}\nClasses: ${Array.isArray(classes) ? classes.join(', ') : ''}\nXPath: ${xpath}\nDescription: ${description}\nYour task: Analyze the user's feedback and the element context, then generate a CSS patch that fixes the reported issue.\nIMPORTANT: Never use 'transparent' or 'rgba(0,0,0,0)' for any menu, overlay, or popup background. Always set a solid dark color (var(--udm-surface)) for menu backgrounds.\n${ThemePalette.describeForPrompt(paletteColors)}\nOutput ONLY a valid JSON object matching this schema: { "darkModeCss": "<all generated CSS rules as a string>" }.`;
   }
-  console.debug('[Server] Gemini prompt:', prompt);
-  const responseSchema = {
-    type: 'OBJECT',
-    properties: {
-      darkModeCss: {
-        type: 'STRING',
-        description: 'A single string containing all the generated CSS rules for the dark mode theme.'
-      }
-    },
-    required: ['darkModeCss']
-  };
-  console.debug('[Server] Gemini responseSchema:', responseSchema);
-  const geminiPayload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    generationConfig: {
-      response_mime_type: 'application/json',
-      response_schema: responseSchema,
-      temperature: 0.2,
-      max_output_tokens: 8192
+  console.debug(`[Server] LLM prompt: ${prompt.length} characters`);
+
+  // Identical prompts for the same provider/model are answered from the cache.
+  // Clients can send Cache-Control: no-cache to force a fresh answer.
+  const cacheKey = ResponseCache.keyFor({ prompt, provider: llmProvider.name, model: llmProvider.model, schema: RESPONSE_SCHEMA });
+  const bypassCache = /no-cache/i.test(req.get('Cache-Control') || '');
+  res.set('X-Cache-Key', cacheKey.slice(0, 16));
+  if (!responseCache.enabled || bypassCache) {
+    res.set('X-Cache', 'BYPASS');
+  } else {
+    const cached = responseCache.get(cacheKey);
+    if (cached) {
+      console.info('[Server] Cache hit for prompt', cacheKey.slice(0, 16));
+      res.set('X-Cache', 'HIT');
+      res.set('Age', String(Math.floor((Date.now() - cached.createdAt) / 1000)));
+      return res.status(200).json({ ...cached.value, provider: llmProvider.name, model: llmProvider.model });
     }
-  };
-  console.debug('[Server] Gemini payload:', geminiPayload);
-  const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${geminiApiKey}`;
+    res.set('X-Cache', 'MISS');
+  }
+
   try {
-    console.debug('[Server] Sending request to Gemini API:', geminiApiUrl);
-    const geminiResponse = await fetch(geminiApiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(geminiPayload)
-    });
-    console.debug('[Server] Gemini API response status:', geminiResponse.status);
-    if (!geminiResponse.ok) {
-      const errorBody = await geminiResponse.text();
-      console.error('[Server] Gemini API error:', errorBody);
-      throw new Error(`Gemini API error: ${geminiResponse.status} ${errorBody}`);
+    console.debug(`[Server] Sending request to ${llmProvider.name} provider (model: ${llmProvider.model})`);
+    const result = await llmProvider.generate({ prompt, context: req.body });
+    console.debug('[Server] Provider response:', result);
+    if (result.darkModeCss || result.message) {
+      responseCache.set(cacheKey, result, { provider: llmProvider.name, model: llmProvider.model });
     }
-    const geminiData = await geminiResponse.json();
-    console.debug('[Server] Gemini API response data:', geminiData);
     // Save feedback and patch for future training
-    const feedbackEntry = {
+    feedbackStore.append({
       timestamp: Date.now(),
       tag, classes, xpath, description, css,
-      patch: geminiData.darkModeCss || '',
-    };
-    let log = [];
-    try {
-      if (fs.existsSync(FEEDBACK_LOG)) {
-        log = JSON.parse(fs.readFileSync(FEEDBACK_LOG, 'utf8'));
-      }
-    } catch (e) {
-      console.error('[Server] Failed to read feedback log:', e);
-    }
-    log.push(feedbackEntry);
+      ...pageFields,
+      patch: result.darkModeCss || '',
+      provider: llmProvider.name
+    });
+    console.info('[Server] Feedback and patch saved for future AI training.');
+    console.debug('[Server] Returning normalized patch to client.');
+    return res.status(200).json({ ...result, provider: llmProvider.name, model: llmProvider.model });
+  } catch (error) {
+    console.error('[Server] Proxy error:', error);
+    return res.status(500).json({ error: `Failed to process request with ${llmProvider.name} provider.` });
+  }
+});
+
+// User verdict on a patch the proxy generated: { css | patchHash, verdict: positive | partial | negative }.
+// Each install has one verdict per patch; sending another replaces it.
+app.post('/api/ratings', (req, res) => {
+  const { css, verdict, patchHash: givenHash } = req.body || {};
+  const patchHash = typeof givenHash === 'string' ? givenHash : FeedbackStore.patchHashFor(css);
+  if (!patchHash || !FeedbackStore.VERDICTS.includes(verdict)) {
+    return res.status(400).json({ error: `css or patchHash and a verdict (${FeedbackStore.VERDICTS.join(', ')}) are required.` });
+  }
+
+  const result = feedbackStore.rate({ patchHash, verdict, clientId: req.clientId });
+  if (!result) {
+    console.debug('[Server] Rating for unknown patch:', patchHash.slice(0, 16));
+    return res.status(404).json({ error: 'No stored patch matches this rating.', patchHash });
+  }
+  console.info(`[Server] Patch ${patchHash.slice(0, 16)} rated ${verdict}${result.previous ? ` (was ${result.previous.verdict})` : ''}`);
+  res.status(201).json({ status: 'ok', patchHash, ratings: feedbackStore.ratingTotals(patchHash) });
+});
+
+// Validate the structured page fields of an /api/gemini request. The domain is derived from
+// url (or origin) here rather than trusted from the client.
+function readPageFields(body = {}) {
+  const text = (value, maxLength) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null);
+  const parseHttpUrl = value => {
     try {
-      fs.writeFileSync(FEEDBACK_LOG, JSON.stringify(log, null, 2));
-      console.info('[Server] Feedback and patch saved for future AI training.');
+      const parsed = new URL(value);
+      return /^https?:$/.test(parsed.protocol) ? parsed : null;
     } catch (e) {
-      console.error('[Server] Failed to write feedback log:', e);
+      return null;
     }
-    console.debug('[Server] Returning Gemini patch to client.');
-    return res.status(200).json(geminiData);
-  } catch (error) {
-    console.error('[Server] Proxy error:', error);
-    return res.status(500).json({ error: 'Failed to process request with Gemini API.' });
+  };
+
+  const pageUrl = parseHttpUrl(text(body.url, 2048)) || parseHttpUrl(text(body.origin, 2048));
+  return {
+    url: pageUrl && text(body.url, 2048) ? pageUrl.href : null,
+    origin: pageUrl ? pageUrl.origin : null,
+    domain: pageUrl ? pageUrl.hostname : null,
+    title: text(body.title, 300),
+    elementType: text(body.elementType, 50),
+    detectedIssues: Array.isArray(body.detectedIssues)
+      ? body.detectedIssues.map(issue => text(issue, 100)).filter(Boolean).slice(0, 20)
+      : []
+  };
+}
+
+// Cache admin: inspect (?values=true includes cached responses) and purge.
+// Only answered for requests from this machine.
+function requireLocalRequest(req, res, next) {
+  const ip = req.socket.remoteAddress || '';
+  if (ip === '127.0.0.1' || ip === '::1' || ip === '::ffff:127.0.0.1') {
+    return next();
   }
+  console.warn('[Server] Rejected cache admin request from', ip);
+  res.status(403).json({ error: 'Cache administration is only available from localhost.' });
+}
+
+app.get('/api/cache', requireLocalRequest, (req, res) => {
+  console.info('[Server] /api/cache inspected');
+  res.json(responseCache.describe({ includeValues: req.query.values === 'true' }));
 });
 
-// Enhanced feedback processing with pattern recognition
+app.delete('/api/cache', requireLocalRequest, (req, res) => {
+  const removed = responseCache.clear();
+  console.info(`[Server] /api/cache purged (${removed} entries)`);
+  res.json({ status: 'ok', removed });
+});
+
+app.delete('/api/cache/:key', requireLocalRequest, (req, res) => {
+  // Accept the full key or the 16-character prefix sent in X-Cache-Key
+  const key = Array.from(responseCache.entries.keys()).find(candidate => candidate.startsWith(req.params.key));
+  if (!key || !responseCache.delete(key)) {
+    return res.status(404).json({ error: 'Cache entry not found.' });
+  }
+  console.info('[Server] /api/cache entry removed:', key.slice(0, 16));
+  res.json({ status: 'ok', removed: 1 });
+});
+
+// Enhanced feedback processing with pattern recognition.
+// Optional filters (body or query): domain, tag, classKey, since, until (ms timestamps).
 app.post('/api/analyze-patterns', (req, res) => {
   console.info('[Server] /api/analyze-patterns called');
   
   try {
-    let log = [];
-    if (fs.existsSync(FEEDBACK_LOG)) {
-      log = JSON.parse(fs.readFileSync(FEEDBACK_LOG, 'utf8'));
-    }
-    
-    // Analyze patterns in the feedback data
-    const patterns = analyzeHistoricalPatterns(log);
+    const source = { ...req.query, ...(req.body || {}) };
+    const filters = {
+      domain: source.domain,
+      tag: source.tag,
+      classKey: source.classKey,
+      since: parseInt(source.since, 10) || undefined,
+      until: parseInt(source.until, 10) || undefined
+    };
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    // Unfiltered requests use the incrementally maintained analysis; filtered ones
+    // analyze only the matching entries from the store's indexes
+    const patterns = hasFilters
+      ? analyzeHistoricalPatterns(feedbackStore.query(filters).reverse(), feedbackStore.allRatings())
+      : historicalPatterns;
     
-    console.debug('[Server] Pattern analysis complete:', patterns);
+    console.debug(`[Server] Pattern analysis complete: ${Object.keys(patterns.domainSpecificPatterns).length} domains, ${Object.keys(patterns.successfulCSSRules).length} CSS rules`);
     res.json({ status: 'ok', patterns });
     
   } catch (error) {
@@ -196,87 +284,136 @@ app.post('/api/analyze-patterns', (req, res) => {
   }
 });
 
-// Advanced pattern analysis function
-function analyzeHistoricalPatterns(feedbackData) {
+// Advanced pattern analysis function. Effectiveness comes from user ratings of the patches
+// (see /api/ratings); ratings for patches not in feedbackData are ignored.
+function analyzeHistoricalPatterns(feedbackData, ratings = []) {
   const patterns = {
     commonSelectors: {},
     successfulCSSRules: {},
     domainSpecificPatterns: {},
     temporalTrends: {},
-    elementTypeEffectiveness: {}
+    elementTypeEffectiveness: {},
+    ratedPatches: {}
   };
-  
+  const entriesByPatch = new Map();
   feedbackData.forEach(entry => {
-    // Analyze common selectors that need fixes
-    if (entry.classes && entry.classes.length > 0) {
-      const selectorKey = entry.classes.join('.');
-      if (!patterns.commonSelectors[selectorKey]) {
-        patterns.commonSelectors[selectorKey] = { count: 0, fixes: [] };
-      }
-      patterns.commonSelectors[selectorKey].count++;
-      if (entry.patch) {
-        patterns.commonSelectors[selectorKey].fixes.push(entry.patch);
-      }
+    accumulatePatterns(patterns, entry);
+    if (entry.patchHash) entriesByPatch.set(entry.patchHash, entry);
+  });
+  ratings.forEach(rating => {
+    const entry = entriesByPatch.get(rating.patchHash);
+    if (entry) accumulateRating(patterns, rating, entry, null);
+  });
+  return patterns;
+}
+
+// Fold one feedback entry into an analysis; used both for full scans and for new entries
+function accumulatePatterns(patterns, entry) {
+  // Analyze common selectors that need fixes
+  if (entry.classes && entry.classes.length > 0) {
+    const selectorKey = entry.classes.join('.');
+    if (!patterns.commonSelectors[selectorKey]) {
+      patterns.commonSelectors[selectorKey] = { count: 0, fixes: [] };
     }
-    
-    // Track successful CSS rules
+    patterns.commonSelectors[selectorKey].count++;
     if (entry.patch) {
-      const cssRules = extractCSSRules(entry.patch);
-      cssRules.forEach(rule => {
-        if (!patterns.successfulCSSRules[rule]) {
-          patterns.successfulCSSRules[rule] = { count: 0, effectiveness: 0 };
-        }
-        patterns.successfulCSSRules[rule].count++;
-      });
+      patterns.commonSelectors[selectorKey].fixes.push(entry.patch);
     }
-    
-    // Domain-specific analysis
-    try {
-      const url = new URL(entry.description || '');
-      const domain = url.hostname;
-      if (!patterns.domainSpecificPatterns[domain]) {
-        patterns.domainSpecificPatterns[domain] = { issues: [], commonFixes: {} };
+  }
+  
+  // Track successful CSS rules
+  if (entry.patch) {
+    const cssRules = extractCSSRules(entry.patch);
+    cssRules.forEach(rule => {
+      if (!patterns.successfulCSSRules[rule]) {
+        patterns.successfulCSSRules[rule] = createEffectivenessStats({ count: 0 });
       }
-      patterns.domainSpecificPatterns[domain].issues.push({
-        tag: entry.tag,
-        classes: entry.classes,
-        fix: entry.patch
-      });
-    } catch (e) {
-      // Invalid URL, skip domain analysis
+      patterns.successfulCSSRules[rule].count++;
+    });
+  }
+  
+  // Domain-specific analysis
+  const domain = FeedbackStore.domainFor(entry);
+  if (domain) {
+    if (!patterns.domainSpecificPatterns[domain]) {
+      patterns.domainSpecificPatterns[domain] = { issues: [], commonFixes: {} };
     }
-    
-    // Temporal trends
-    const month = new Date(entry.timestamp).toISOString().slice(0, 7);
-    if (!patterns.temporalTrends[month]) {
-      patterns.temporalTrends[month] = { count: 0, types: {} };
+    patterns.domainSpecificPatterns[domain].issues.push({
+      tag: entry.tag,
+      classes: entry.classes,
+      fix: entry.patch
+    });
+  }
+  
+  // Temporal trends
+  const month = new Date(entry.timestamp).toISOString().slice(0, 7);
+  if (!patterns.temporalTrends[month]) {
+    patterns.temporalTrends[month] = { count: 0, types: {} };
+  }
+  patterns.temporalTrends[month].count++;
+  
+  // Element type effectiveness
+  if (entry.tag) {
+    if (!patterns.elementTypeEffectiveness[entry.tag]) {
+      patterns.elementTypeEffectiveness[entry.tag] = createEffectivenessStats({
+        totalAttempts: 0,
+        successfulFixes: 0,
+        effectivenessRatio: 0,
+        commonIssues: []
+      });
     }
-    patterns.temporalTrends[month].count++;
-    
-    // Element type effectiveness
-    if (entry.tag) {
-      if (!patterns.elementTypeEffectiveness[entry.tag]) {
-        patterns.elementTypeEffectiveness[entry.tag] = { 
-          totalAttempts: 0, 
-          successfulFixes: 0,
-          commonIssues: []
-        };
-      }
-      patterns.elementTypeEffectiveness[entry.tag].totalAttempts++;
-      if (entry.patch && entry.patch.length > 10) { // Assume non-empty patches are successful
-        patterns.elementTypeEffectiveness[entry.tag].successfulFixes++;
-      }
+    patterns.elementTypeEffectiveness[entry.tag].totalAttempts++;
+  }
+}
+
+// Verdict counts plus the effectiveness derived from them
+function createEffectivenessStats(fields = {}) {
+  return { ...fields, ratings: { positive: 0, partial: 0, negative: 0 }, ratedAttempts: 0, effectiveness: 0 };
+}
+
+// Share of verdicts that were positive, with partial fixes counting half
+function effectivenessFromRatings(ratings) {
+  const rated = ratings.positive + ratings.partial + ratings.negative;
+  return rated > 0 ? (ratings.positive + 0.5 * ratings.partial) / rated : 0;
+}
+
+// Fold one user verdict on a patch into an analysis. `previous` is the same client's
+// earlier verdict on that patch, which the new one replaces.
+function accumulateRating(patterns, rating, entry, previous) {
+  const apply = (stats, verdict, delta) => {
+    stats.ratings[verdict] += delta;
+    stats.ratedAttempts += delta;
+    stats.effectiveness = effectivenessFromRatings(stats.ratings);
+  };
+  const targets = [];
+
+  if (!patterns.ratedPatches[rating.patchHash]) {
+    patterns.ratedPatches[rating.patchHash] = createEffectivenessStats();
+  }
+  targets.push(patterns.ratedPatches[rating.patchHash]);
+
+  new Set(extractCSSRules(entry.patch)).forEach(rule => {
+    if (!patterns.successfulCSSRules[rule]) {
+      patterns.successfulCSSRules[rule] = createEffectivenessStats({ count: 0 });
     }
+    targets.push(patterns.successfulCSSRules[rule]);
   });
-  
-  // Calculate effectiveness ratios
-  Object.keys(patterns.elementTypeEffectiveness).forEach(tag => {
-    const data = patterns.elementTypeEffectiveness[tag];
-    data.effectivenessRatio = data.totalAttempts > 0 ? 
-      data.successfulFixes / data.totalAttempts : 0;
+
+  if (entry.tag && patterns.elementTypeEffectiveness[entry.tag]) {
+    targets.push(patterns.elementTypeEffectiveness[entry.tag]);
+  }
+
+  targets.forEach(stats => {
+    if (previous) apply(stats, previous.verdict, -1);
+    apply(stats, rating.verdict, 1);
   });
-  
-  return patterns;
+
+  // Element types report fully successful fixes and the ratio generateSmartCSS relies on
+  if (entry.tag && patterns.elementTypeEffectiveness[entry.tag]) {
+    const data = patterns.elementTypeEffectiveness[entry.tag];
+    data.successfulFixes = data.ratings.positive;
+    data.effectivenessRatio = data.effectiveness;
+  }
 }
 
 // Extract individual CSS rules for pattern analysis
@@ -291,22 +428,18 @@ function extractCSSRules(css) {
 }
 
 // Smart CSS generation based on historical patterns
-app.post('/api/smart-css-generation', async (req, res) => {
+app.post('/api/smart-css-generation', limitRequests, async (req, res) => {
   console.info('[Server] /api/smart-css-generation called');
   
   try {
-    const { elementData, pageContext } = req.body;
-    
-    // Load historical patterns
-    let log = [];
-    if (fs.existsSync(FEEDBACK_LOG)) {
-      log = JSON.parse(fs.readFileSync(FEEDBACK_LOG, 'utf8'));
+    const { elementData, pageContext = {} } = req.body;
+    if (!elementData || !elementData.tag) {
+      return res.status(400).json({ error: 'elementData.tag is required' });
     }
+    elementData.classes = Array.isArray(elementData.classes) ? elementData.classes : [];
     
-    const patterns = analyzeHistoricalPatterns(log);
-    
-    // Generate smart CSS based on patterns
-    const smartCSS = generateSmartCSS(elementData, pageContext, patterns);
+    // Generate smart CSS based on the live historical patterns
+    const smartCSS = generateSmartCSS(elementData, pageContext, historicalPatterns);
     
     if (smartCSS.confidence > 0.6) {
       console.debug('[Server] High-confidence pattern-based CSS generated');
@@ -339,7 +472,11 @@ function generateSmartCSS(elementData, pageContext, patterns) {
   if (elementData.classes && elementData.classes.length > 0) {
     const classKey = elementData.classes.join('.');
     if (patterns.commonSelectors[classKey] && patterns.commonSelectors[classKey].count >= 3) {
-      const fixes = patterns.commonSelectors[classKey].fixes;
+      // Leave out patches users mostly rated as not working
+      const fixes = patterns.commonSelectors[classKey].fixes.filter(fix => {
+        const rated = patterns.ratedPatches[FeedbackStore.patchHashFor(fix)];
+        return !rated || rated.ratedAttempts === 0 || rated.effectiveness >= 0.5;
+      });
       const mostCommonFix = findMostFrequentFix(fixes);
       if (mostCommonFix) {
         rules.push(mostCommonFix);
@@ -403,23 +540,145 @@ function generateBasicDarkModeCSS(elementData) {
     case 'div':
     case 'section':
       if (elementData.classes.some(cls => cls.includes('menu') || cls.includes('dropdown'))) {
-        rules.push(`${selector} { background-color: #222 !important; color: #e0e0e0 !important; border: 1px solid #444 !important; }`);
+        rules.push(`${selector} { background-color: ${ThemePalette.cssVar('surface')} !important; color: ${ThemePalette.cssVar('text')} !important; border: 1px solid ${ThemePalette.cssVar('border')} !important; }`);
       }
       break;
     case 'nav':
-      rules.push(`${selector} { background-color: #1a1a1a !important; color: #ffffff !important; }`);
+      rules.push(`${selector} { background-color: ${ThemePalette.cssVar('background')} !important; color: ${ThemePalette.cssVar('text')} !important; }`);
       break;
     case 'button':
-      rules.push(`${selector} { background-color: #333 !important; color: #e0e0e0 !important; border: 1px solid #555 !important; }`);
+      rules.push(`${selector} { background-color: ${ThemePalette.cssVar('surfaceElevated')} !important; color: ${ThemePalette.cssVar('text')} !important; border: 1px solid ${ThemePalette.cssVar('border')} !important; }`);
       break;
     case 'input':
-      rules.push(`${selector} { background-color: #2a2a2a !important; color: #e0e0e0 !important; border: 1px solid #555 !important; }`);
+      rules.push(`${selector} { background-color: ${ThemePalette.cssVar('surface')} !important; color: ${ThemePalette.cssVar('text')} !important; border: 1px solid ${ThemePalette.cssVar('border')} !important; }`);
       break;
   }
   
   return rules;
 }
 
+// Mock LLM provider: deterministic, rule-based CSS built from the request using the same
+// pattern analysis as /api/smart-css-generation. Used for demos, offline development and
+// end-to-end tests. Select it with LLM_PROVIDER=mock.
+registerProvider('mock', () => ({
+  name: 'mock',
+  model: 'rule-based',
+  isConfigured: () => true,
+  async generate({ prompt, context }) {
+    const text = String(prompt || '');
+
+    // Chat prompts from background.js carry the user's message
+    const chatMatch = text.match(/User message:\s*([\s\S]*?)(?:\n\s*\n|$)/);
+    if (chatMatch) {
+      return generateMockChatAnswer(chatMatch[1].trim());
+    }
+
+    const elements = extractMockElements(text, context);
+    if (elements.length === 0) {
+      return generateMockChatAnswer(text);
+    }
+
+    const css = elements.map(({ elementData, pageContext }) => {
+      const smartCSS = generateSmartCSS(elementData, pageContext, historicalPatterns);
+      if (smartCSS.confidence > 0.6 && smartCSS.rules) return smartCSS.rules;
+      const basicRules = generateBasicDarkModeCSS(elementData);
+      if (basicRules.length > 0) return basicRules.join('\n');
+      const selector = elementData.classes.length > 0 ? `${elementData.tag}.${elementData.classes.join('.')}` : elementData.tag;
+      return `${selector} { background-color: ${ThemePalette.cssVar('surface')} !important; color: ${ThemePalette.cssVar('text')} !important; border-color: ${ThemePalette.cssVar('border')} !important; }\n${selector} * { color: inherit !important; }`;
+    }).join('\n');
+
+    return { darkModeCss: css };
+  }
+}));
+
+// Element descriptions for the mock provider: the request body for element fixes, or the
+// "Tag:/Classes:" and "Element: x with classes [...]" lines of the prompts background.js builds
+function extractMockElements(prompt, context = {}) {
+  const toElement = (tag, classes, url) => {
+    let domain = null;
+    try {
+      domain = url ? new URL(url).hostname : null;
+    } catch (e) {
+      // Not a URL
+    }
+    return {
+      elementData: { tag: String(tag || 'div').toLowerCase(), classes: (classes || []).filter(Boolean) },
+      pageContext: { domain }
+    };
+  };
+  const splitClasses = list => list.split(',').map(name => name.trim()).filter(name => name && name !== 'none');
+
+  if (context.tag && context.tag !== 'auto-generated') {
+    return [toElement(context.tag, Array.isArray(context.classes) ? context.classes : [], context.url)];
+  }
+
+  const tagMatch = prompt.match(/- Tag:\s*(\S+)/);
+  if (tagMatch) {
+    const classesMatch = prompt.match(/- Classes:\s*\[([^\]]*)\]/);
+    const urlMatch = prompt.match(/- Page URL:\s*(\S+)/);
+    return [toElement(tagMatch[1], classesMatch ? splitClasses(classesMatch[1]) : [], (urlMatch && urlMatch[1]) || context.url)];
+  }
+
+  const elements = [];
+  const issuePattern = /Element:\s*(\S+) with classes \[([^\]]*)\]/g;
+  let match;
+  while ((match = issuePattern.exec(prompt)) !== null) {
+    elements.push(toElement(match[1], splitClasses(match[2]), context.url));
+  }
+  return elements;
+}
+
+// Keyword-based chat answers in the same { darkModeCss, message } shape as real providers
+function generateMockChatAnswer(userMessage) {
+  const text = userMessage.toLowerCase();
+  const fixes = [
+    {
+      keywords: ['menu', 'dropdown', 'nav', 'popup', 'overlay'],
+      topic: 'transparent menus and dropdowns',
+      css: `[role="menu"], nav, .menu, .dropdown, .dropdown-menu { background-color: ${ThemePalette.cssVar('surface')} !important; color: ${ThemePalette.cssVar('text')} !important; border: 1px solid ${ThemePalette.cssVar('border')} !important; }`
+    },
+    {
+      keywords: ['text', 'contrast', 'read', 'font'],
+      topic: 'low-contrast text',
+      css: `p, span, li, td, label { color: ${ThemePalette.cssVar('text')} !important; }`
+    },
+    {
+      keywords: ['white', 'bright', 'background', 'light'],
+      topic: 'light backgrounds',
+      css: `body, main, section, article, div[class*="container"] { background-color: ${ThemePalette.cssVar('background')} !important; }`
+    },
+    {
+      keywords: ['input', 'form', 'field', 'search'],
+      topic: 'form fields',
+      css: `input, textarea, select { background-color: ${ThemePalette.cssVar('surface')} !important; color: ${ThemePalette.cssVar('text')} !important; border: 1px solid ${ThemePalette.cssVar('border')} !important; }`
+    },
+    {
+      keywords: ['button'],
+      topic: 'buttons',
+      css: `button, [role="button"] { background-color: ${ThemePalette.cssVar('surfaceElevated')} !important; color: ${ThemePalette.cssVar('text')} !important; border: 1px solid ${ThemePalette.cssVar('border')} !important; }`
+    }
+  ].filter(fix => fix.keywords.some(keyword => text.includes(keyword)));
+
+  if (fixes.length === 0) {
+    return {
+      darkModeCss: '',
+      message: 'Mock mode: tell me what looks wrong (for example "the menu is transparent" or "the text is hard to read") and I will suggest a rule-based CSS fix.'
+    };
+  }
+  return {
+    darkModeCss: fixes.map(fix => fix.css).join('\n'),
+    message: `Mock mode: here is a rule-based fix for ${fixes.map(fix => fix.topic).join(' and ')}.`
+  };
+}
+
+llmProvider = createProvider();
+// Without credentials in development, fall back to the mock provider instead of failing every request
+if (!llmProvider.isConfigured() && process.env.NODE_ENV !== 'production') {
+  console.warn(`[Server] LLM provider "${llmProvider.name}" is not configured; falling back to the mock provider`);
+  llmProvider = createProvider({ ...process.env, LLM_PROVIDER: 'mock' });
+}
+console.info(`[Server] Using LLM provider: ${llmProvider.name} (model: ${llmProvider.model})`);
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.info(`[Server] Gemini feedback server running on port ${PORT}`);
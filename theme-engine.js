@@ -0,0 +1,341 @@
+/*
+  Theme Engine: Universal Dark Mode Extension
+  -------------------------------------------
+  Generates a dark stylesheet for the page instead of flattening every
+  element to one background. While <html> has the universal-dark-mode class:
+    1. Every readable stylesheet rule that sets a background, foreground or
+       border color is copied with its colors remapped to the dark palette
+       (color-utils.js); @media and @supports blocks are kept.
+    2. Elements whose colors are still light afterwards (inline styles,
+       cross-origin stylesheets, browser defaults) are found through their
+       computed styles, tagged with data-udm-color and given remapped rules.
+  The generated <style> is placed before the patch layers (patch-manager.js),
+  so patches win over it, and is rebuilt as stylesheets and elements are added.
+  Custom properties are remapped only when their name says what they color.
+  The user's palette (palette.js) is defined as --udm-* custom properties at
+  the top of the generated stylesheet, and sets the ranges colors are
+  remapped into; changing it in any tab restyles every open page.
+*/
+
+const THEME_ENGINE_CLASS = 'universal-dark-mode';
+const THEME_STYLE_ATTRIBUTE = 'data-udm-theme';
+const THEME_COLOR_ATTRIBUTE = 'data-udm-color';
+const THEME_MAX_WALK_ELEMENTS = 5000;
+const THEME_REFRESH_DELAY = 300;
+
+// Declarations the engine remaps, by the role their color plays
+const THEME_PROPERTY_ROLES = {
+    'background-color': 'background',
+    'background-image': 'background',
+    'background': 'background',
+    'color': 'foreground',
+    '-webkit-text-fill-color': 'foreground',
+    'caret-color': 'foreground',
+    'text-decoration-color': 'foreground',
+    'outline-color': 'border',
+    'border-color': 'border',
+    'border': 'border',
+    'border-top': 'border',
+    'border-right': 'border',
+    'border-bottom': 'border',
+    'border-left': 'border',
+    'border-top-color': 'border',
+    'border-right-color': 'border',
+    'border-bottom-color': 'border',
+    'border-left-color': 'border'
+};
+
+// Elements whose pixels are content, not page chrome
+const THEME_SKIPPED_TAGS = ['IMG', 'VIDEO', 'CANVAS', 'PICTURE', 'IFRAME', 'SVG', 'SCRIPT', 'STYLE', 'LINK', 'META', 'NOSCRIPT', 'TEMPLATE', 'BR'];
+
+class ThemeEngine {
+    constructor() {
+        this.active = false;
+        this.styleElement = null;
+        this.sheetRules = ''; // CSS generated from stylesheets
+        this.elementRules = new Map(); // combination key -> { index, css }
+        this.sheetSignature = '';
+        this.stats = { rules: 0, elements: 0, unreadableSheets: 0 };
+        this.refreshTimer = null;
+        this.pendingElements = [];
+        this.observer = null;
+        this.handleLoad = this.handleLoad.bind(this);
+        this.setPalette(ThemePalette.resolve(null));
+    }
+
+    // Use a palette's colors ({ background, surface, ... }) and regenerate the theme
+    setPalette(colors) {
+        this.palette = colors;
+        this.ranges = ColorUtils.rangesFor(colors);
+        if (this.active) {
+            this.clearGenerated();
+            this.refresh();
+        }
+    }
+
+    // Follow the palette chosen in the side panel (storage.sync themePalette)
+    watchStoredPalette() {
+        const storage = (typeof chrome !== 'undefined' && chrome.storage) ? chrome.storage : browser.storage;
+        storage.sync.get([ThemePalette.STORAGE_KEY]).then(result => {
+            this.setPalette(ThemePalette.resolve(result[ThemePalette.STORAGE_KEY]));
+        }).catch(error => console.debug('[Theme Engine] Could not read the palette:', error));
+        storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes[ThemePalette.STORAGE_KEY]) {
+                this.setPalette(ThemePalette.resolve(changes[ThemePalette.STORAGE_KEY].newValue));
+                console.debug('[Theme Engine] Palette changed');
+            }
+        });
+    }
+
+    // Follow the universal-dark-mode class on <html>, however it is toggled
+    watch() {
+        const root = document.documentElement;
+        new MutationObserver(() => this.sync()).observe(root, { attributes: true, attributeFilter: ['class'] });
+        this.sync();
+    }
+
+    sync() {
+        const enabled = document.documentElement.classList.contains(THEME_ENGINE_CLASS);
+        if (enabled && !this.active) this.start();
+        if (!enabled && this.active) this.stop();
+    }
+
+    start() {
+        this.active = true;
+        this.refresh();
+        this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.observer.observe(document.documentElement, { childList: true, subtree: true });
+        // <link> stylesheets become readable only once loaded
+        document.addEventListener('load', this.handleLoad, true);
+        console.debug('[Theme Engine] Started', this.stats);
+    }
+
+    stop() {
+        this.active = false;
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        clearTimeout(this.refreshTimer);
+        document.removeEventListener('load', this.handleLoad, true);
+        if (this.styleElement) this.styleElement.remove();
+        this.styleElement = null;
+        this.clearGenerated();
+        console.debug('[Theme Engine] Stopped');
+    }
+
+    // Forget generated rules and element tags, so the next refresh starts from the page's own colors
+    clearGenerated() {
+        document.querySelectorAll(`[${THEME_COLOR_ATTRIBUTE}]`).forEach(el => el.removeAttribute(THEME_COLOR_ATTRIBUTE));
+        this.sheetRules = '';
+        this.sheetSignature = '';
+        this.elementRules.clear();
+        this.stats = { rules: 0, elements: 0, unreadableSheets: 0 };
+    }
+
+    handleLoad(event) {
+        if (event.target && event.target.tagName === 'LINK') this.scheduleRefresh();
+    }
+
+    handleMutations(mutations) {
+        const ownChange = node => node === this.styleElement || (node.hasAttribute && node.hasAttribute('data-darkmode-patch'));
+        const added = [];
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === 1 && !ownChange(node)) added.push(node);
+            });
+        });
+        if (added.length > 0) this.scheduleRefresh(added);
+    }
+
+    // Debounced: stylesheets are re-read only when they changed, and only new elements are walked
+    scheduleRefresh(elements) {
+        this.pendingElements = this.pendingElements.concat(elements || []);
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+            const pending = this.pendingElements;
+            this.pendingElements = [];
+            if (this.active) this.refresh(pending.length > 0 ? pending : null);
+        }, THEME_REFRESH_DELAY);
+    }
+
+    // Rebuild the stylesheet part if stylesheets changed, then walk `roots` (default: the whole page)
+    refresh(roots = null) {
+        const signature = this.currentSheetSignature();
+        if (signature !== this.sheetSignature) {
+            this.sheetSignature = signature;
+            this.sheetRules = this.buildSheetRules();
+            this.render();
+        } else if (!this.styleElement) {
+            this.render();
+        }
+        this.walkComputedStyles(roots);
+    }
+
+    currentSheetSignature() {
+        return Array.from(document.styleSheets)
+            .filter(sheet => !this.isOwnSheet(sheet))
+            .map(sheet => {
+                try {
+                    return `${sheet.href || 'inline'}:${sheet.cssRules.length}`;
+                } catch (e) {
+                    return `${sheet.href}:unreadable`;
+                }
+            })
+            .join('|');
+    }
+
+    isOwnSheet(sheet) {
+        const owner = sheet.ownerNode;
+        return !!owner && owner.nodeType === 1 && (owner.hasAttribute(THEME_STYLE_ATTRIBUTE) || owner.hasAttribute('data-darkmode-patch'));
+    }
+
+    buildSheetRules() {
+        let unreadable = 0;
+        let count = 0;
+        const blocks = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            if (this.isOwnSheet(sheet) || (sheet.media && sheet.media.mediaText === 'not all')) return;
+            let rules;
+            try {
+                rules = sheet.cssRules;
+            } catch (e) {
+                // Cross-origin stylesheet: its elements are handled by the computed style walk
+                unreadable++;
+                return;
+            }
+            const css = this.remapRules(rules, () => count++);
+            if (!css) return;
+            const media = sheet.media && sheet.media.mediaText;
+            blocks.push(media && media !== 'all' ? `@media ${media} {\n${css}\n}` : css);
+        });
+        this.stats.rules = count;
+        this.stats.unreadableSheets = unreadable;
+        return blocks.join('\n');
+    }
+
+    remapRules(rules, onRule) {
+        const output = [];
+        Array.from(rules).forEach(rule => {
+            if (rule.selectorText !== undefined && rule.style) {
+                const declarations = ThemeEngine.remapDeclarations(rule.style, this.ranges);
+                if (declarations) {
+                    output.push(`${rule.selectorText} { ${declarations} }`);
+                    onRule();
+                }
+            } else if (typeof CSSMediaRule !== 'undefined' && rule instanceof CSSMediaRule) {
+                const inner = this.remapRules(rule.cssRules, onRule);
+                if (inner) output.push(`@media ${rule.media.mediaText} {\n${inner}\n}`);
+            } else if (typeof CSSSupportsRule !== 'undefined' && rule instanceof CSSSupportsRule) {
+                const inner = this.remapRules(rule.cssRules, onRule);
+                if (inner) output.push(`@supports ${rule.conditionText} {\n${inner}\n}`);
+            } else if (typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule) {
+                // Emitted unlayered: the generated theme is one flat stylesheet
+                const inner = this.remapRules(rule.cssRules, onRule);
+                if (inner) output.push(inner);
+            }
+        });
+        return output.join('\n');
+    }
+
+    // Remapped declarations of a CSSStyleDeclaration, or '' if it sets no color that needs changing
+    static remapDeclarations(style, ranges) {
+        const declarations = [];
+        for (let i = 0; i < style.length; i++) {
+            const property = style[i];
+            const role = property.startsWith('--') ? ThemeEngine.customPropertyRole(property) : THEME_PROPERTY_ROLES[property];
+            if (!role) continue;
+            const remapped = ColorUtils.remapValue(style.getPropertyValue(property), role, ranges);
+            if (remapped) declarations.push(`${property}: ${remapped} !important;`);
+        }
+        return declarations.join(' ');
+    }
+
+    static customPropertyRole(name) {
+        if (/(^|-)(bg|background|surface|canvas|fill)(-|$)/i.test(name)) return 'background';
+        if (/(^|-)(border|outline|divider|separator)(-|$)/i.test(name)) return 'border';
+        if (/(^|-)(text|fg|foreground|font|ink)(-|$)/i.test(name)) return 'foreground';
+        return null;
+    }
+
+    // Tag elements whose computed colors are still light and give each color combination a rule
+    walkComputedStyles(roots) {
+        const candidates = [];
+        (roots || [document.body || document.documentElement]).forEach(root => {
+            if (!root || !root.isConnected) return;
+            candidates.push(root);
+            root.querySelectorAll('*').forEach(el => candidates.push(el));
+        });
+
+        let tagged = 0;
+        let changed = false;
+        candidates.slice(0, THEME_MAX_WALK_ELEMENTS).forEach(el => {
+            if (THEME_SKIPPED_TAGS.includes(el.tagName.toUpperCase()) || el.closest('svg')) return;
+            if (el.hasAttribute(THEME_COLOR_ATTRIBUTE)) return;
+            const style = window.getComputedStyle(el);
+            const fixes = {};
+            if (ColorUtils.needsRemap(style.backgroundColor, 'background', this.ranges)) {
+                fixes['background-color'] = ColorUtils.remap(style.backgroundColor, 'background', this.ranges);
+            }
+            if (ColorUtils.needsRemap(style.color, 'foreground', this.ranges)) {
+                fixes.color = ColorUtils.remap(style.color, 'foreground', this.ranges);
+            }
+            if (style.borderStyle !== 'none' && parseFloat(style.borderWidth) > 0 && ColorUtils.needsRemap(style.borderColor, 'border', this.ranges)) {
+                fixes['border-color'] = ColorUtils.remapValue(style.borderColor, 'border', this.ranges);
+            }
+            const declarations = Object.keys(fixes)
+                .filter(property => fixes[property])
+                .map(property => `${property}: ${fixes[property]} !important;`)
+                .join(' ');
+            if (!declarations) return;
+
+            let entry = this.elementRules.get(declarations);
+            if (!entry) {
+                entry = { index: this.elementRules.size + 1, css: declarations };
+                this.elementRules.set(declarations, entry);
+                changed = true;
+            }
+            el.setAttribute(THEME_COLOR_ATTRIBUTE, String(entry.index));
+            tagged++;
+        });
+
+        this.stats.elements += tagged;
+        if (changed) this.render();
+    }
+
+    render() {
+        const elementCss = Array.from(this.elementRules.values())
+            .map(entry => `[${THEME_COLOR_ATTRIBUTE}="${entry.index}"] { ${entry.css} }`)
+            .join('\n');
+        const css = `${ThemePalette.toCssVariables(this.palette)}\n${this.sheetRules}\n${elementCss}`;
+
+        if (!this.styleElement || !this.styleElement.isConnected) {
+            this.styleElement = document.createElement('style');
+            this.styleElement.setAttribute(THEME_STYLE_ATTRIBUTE, 'true');
+            // Before the first patch layer, so patches override the generated theme
+            const firstPatch = document.querySelector('style[data-darkmode-patch]');
+            const parent = document.head || document.documentElement;
+            if (firstPatch && firstPatch.parentNode) {
+                firstPatch.parentNode.insertBefore(this.styleElement, firstPatch);
+            } else {
+                parent.appendChild(this.styleElement);
+            }
+        }
+        if (this.styleElement.textContent !== css) {
+            this.styleElement.textContent = css;
+        }
+    }
+
+    getStats() {
+        return { active: this.active, ...this.stats, colorCombinations: this.elementRules.size };
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeEngine;
+} else {
+    window.ThemeEngine = ThemeEngine;
+    // One engine per page, following the dark mode class wherever it is toggled
+    window.darkModeTheme = window.darkModeTheme || new ThemeEngine();
+    window.darkModeTheme.watchStoredPalette();
+    window.darkModeTheme.watch();
+}
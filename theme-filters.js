@@ -0,0 +1,91 @@
+/*
+  Theme Filters: Universal Dark Mode Extension
+  --------------------------------------------
+  Brightness, contrast, sepia and grayscale adjustments applied on top of the
+  dark theme as a CSS filter on <html> (only while the theme is on, so they
+  compose with dark-theme.css, the theme engine and every patch layer). They
+  apply as well while the site's own dark mode is used (native-dark-mode.js).
+  Settings live in storage.sync under `themeFilters`:
+    { global: { brightness, contrast, sepia, grayscale },
+      sites:  { [origin]: { brightness, contrast, sepia, grayscale } } }
+  A site entry replaces the global values for that origin. Values are
+  percentages; the defaults leave the page unchanged.
+*/
+
+const THEME_FILTER_RANGES = {
+    brightness: { min: 30, max: 150, default: 100, label: 'Brightness' },
+    contrast: { min: 50, max: 150, default: 100, label: 'Contrast' },
+    sepia: { min: 0, max: 100, default: 0, label: 'Sepia' },
+    grayscale: { min: 0, max: 100, default: 0, label: 'Grayscale' }
+};
+
+const THEME_FILTER_STYLE_ATTRIBUTE = 'data-udm-filters';
+
+class ThemeFilters {
+    static defaults() {
+        const values = {};
+        Object.entries(THEME_FILTER_RANGES).forEach(([name, range]) => { values[name] = range.default; });
+        return values;
+    }
+
+    // Whole percentages clamped to each filter's range; missing values take the default
+    static normalize(values) {
+        const normalized = ThemeFilters.defaults();
+        Object.entries(THEME_FILTER_RANGES).forEach(([name, range]) => {
+            const value = Number(values && values[name]);
+            if (Number.isFinite(value)) normalized[name] = Math.round(Math.max(range.min, Math.min(range.max, value)));
+        });
+        return normalized;
+    }
+
+    static normalizeSettings(settings) {
+        const sites = {};
+        Object.entries((settings && settings.sites) || {}).forEach(([origin, values]) => {
+            sites[origin] = ThemeFilters.normalize(values);
+        });
+        return { global: ThemeFilters.normalize(settings && settings.global), sites };
+    }
+
+    // Values in effect for an origin: its own entry, otherwise the global ones
+    static resolve(settings, origin) {
+        const { global, sites } = ThemeFilters.normalizeSettings(settings);
+        return origin && sites[origin] ? sites[origin] : global;
+    }
+
+    static isNeutral(values) {
+        return Object.entries(THEME_FILTER_RANGES).every(([name, range]) => values[name] === range.default);
+    }
+
+    // CSS filter value, or 'none' when nothing is adjusted
+    static toFilter(values) {
+        if (ThemeFilters.isNeutral(values)) return 'none';
+        return Object.keys(THEME_FILTER_RANGES).map(name => `${name}(${values[name]}%)`).join(' ');
+    }
+
+    // Add, update or remove the page's filter stylesheet
+    static applyToDocument(values, doc = document) {
+        const normalized = ThemeFilters.normalize(values);
+        let style = doc.querySelector(`style[${THEME_FILTER_STYLE_ATTRIBUTE}]`);
+        if (ThemeFilters.isNeutral(normalized)) {
+            if (style) style.remove();
+            return normalized;
+        }
+        if (!style) {
+            style = doc.createElement('style');
+            style.setAttribute(THEME_FILTER_STYLE_ATTRIBUTE, 'true');
+            (doc.head || doc.documentElement).appendChild(style);
+        }
+        style.textContent = `html.universal-dark-mode, html[data-udm-native] { filter: ${ThemeFilters.toFilter(normalized)} !important; }`;
+        return normalized;
+    }
+}
+
+ThemeFilters.RANGES = THEME_FILTER_RANGES;
+ThemeFilters.STORAGE_KEY = 'themeFilters';
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeFilters;
+} else if (typeof window !== 'undefined') {
+    window.ThemeFilters = ThemeFilters;
+}